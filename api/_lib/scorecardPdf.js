@@ -0,0 +1,143 @@
+const PDFDocument = require("pdfkit");
+
+const FONT_FILES = {
+  latin: require.resolve("@fontsource/noto-sans-devanagari/files/noto-sans-devanagari-latin-400-normal.woff"),
+  latinBold: require.resolve("@fontsource/noto-sans-devanagari/files/noto-sans-devanagari-latin-700-normal.woff"),
+  devanagari: require.resolve("@fontsource/noto-sans-devanagari/files/noto-sans-devanagari-devanagari-400-normal.woff"),
+  devanagariBold: require.resolve("@fontsource/noto-sans-devanagari/files/noto-sans-devanagari-devanagari-700-normal.woff")
+};
+
+const DEVANAGARI_RUN = /([\u0900-\u097F\u1CD0-\u1CFF\uA8E0-\uA8FF\u200C\u200D]+)/;
+const MARGIN = 40;
+const FOOTER_HEIGHT = 60;
+
+function scriptRuns(value) {
+  return String(value ?? "")
+    .split(DEVANAGARI_RUN)
+    .filter(Boolean)
+    .map(text => ({ text, devanagari: DEVANAGARI_RUN.test(text) }));
+}
+
+function createWriter(doc) {
+  const fontFor = (devanagari, bold) => (devanagari ? "devanagari" : "latin") + (bold ? "Bold" : "");
+
+  return {
+    text(x, y, value, { size = 11, bold = false, fill = "#1f2933", width } = {}) {
+      const runs = scriptRuns(value);
+      if (!runs.length) return;
+      doc.fontSize(size).fillColor(fill);
+      runs.forEach((run, idx) => {
+        doc.font(fontFor(run.devanagari, bold));
+        const options = { continued: idx < runs.length - 1, width, lineBreak: !!width };
+        if (idx === 0) doc.text(run.text, x, y, options);
+        else doc.text(run.text, options);
+      });
+    },
+    height(value, { size = 11, bold = false, width }) {
+      const text = String(value ?? "");
+      doc.font(fontFor(DEVANAGARI_RUN.test(text), bold)).fontSize(size);
+      return doc.heightOfString(text, { width });
+    },
+    rect(x, y, w, h, fill) {
+      doc.rect(x, y, w, h).fill(fill);
+    },
+    line(x1, y1, x2, y2, stroke = "#d2d6dc") {
+      doc.moveTo(x1, y1).lineTo(x2, y2).lineWidth(0.5).strokeColor(stroke).stroke();
+    }
+  };
+}
+
+function renderScorecardPdf(card, { generatedLabel }) {
+  const doc = new PDFDocument({ size: "A4", margin: MARGIN, bufferPages: true, font: FONT_FILES.latin });
+  Object.entries(FONT_FILES).forEach(([name, file]) => doc.registerFont(name, file));
+  const page = createWriter(doc);
+  const width = doc.page.width;
+  const bottom = () => doc.page.height - FOOTER_HEIGHT - 20;
+  const fmt = value => (value === null || value === undefined ? "-" : String(value));
+
+  const chunks = [];
+  doc.on("data", chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  page.rect(0, 0, width, 110, "#1e3a8a");
+  page.text(MARGIN, 30, "SCORECARD", { size: 12, bold: true, fill: "#bfdbfe" });
+  page.text(MARGIN, 48, card.testTitle, { size: 18, bold: true, fill: "#ffffff", width: width - 2 * MARGIN });
+  page.text(MARGIN, 82, `${card.displayName}  |  ${card.testDate || ""}`, { size: 11, fill: "#dbeafe" });
+
+  let y = 135;
+  page.text(MARGIN, y, "Score by phase", { size: 14, bold: true });
+  y += 25;
+  const columns = [["Phase", 40], ["Score", 110], ["Correct", 170], ["Incorrect", 235], ["Skipped", 305], ["Rank", 370], ["Percentile", 450]];
+  columns.forEach(([label, x]) => page.text(x, y, label, { size: 10, bold: true, fill: "#52606d" }));
+  y += 16;
+  page.line(MARGIN, y, width - MARGIN, y);
+
+  Object.entries(card.phases).forEach(([phase, p]) => {
+    y += 8;
+    const rank = p.rank ? `${p.rank} / ${p.totalParticipants}` : "Pending";
+    [phase, p.score, p.correct, p.incorrect, p.unattempted, rank, p.percentile !== null ? `${p.percentile}%` : "-"]
+      .forEach((value, idx) => page.text(columns[idx][1], y, fmt(value), { size: 11 }));
+    y += 12;
+  });
+
+  if (card.combined) {
+    y += 25;
+    page.rect(MARGIN, y, width - 2 * MARGIN, 56, "#eef2ff");
+    page.text(55, y + 10, card.combined.policy === "qualifying" ? "Combined merit (CSAT qualifying)" : "Combined Sunday rank", { size: 12, bold: true, fill: "#1e3a8a" });
+    const combinedRank = card.combined.rank ? `#${card.combined.rank} of ${card.combined.totalParticipants}` : "Not ranked (CSAT not qualified)";
+    page.text(55, y + 32, `Score ${card.combined.score}  |  GS ${card.combined.gs}  |  CSAT ${card.combined.csat}  |  ${combinedRank}`, { size: 11 });
+    y += 56;
+  }
+
+  const topicColumns = [["Subject", 40], ["Questions", 250], ["Attempted", 320], ["Correct", 390], ["Accuracy", 450]];
+  const subjectWidth = 200;
+  const topicHeader = () => {
+    topicColumns.forEach(([label, x]) => page.text(x, y, label, { size: 10, bold: true, fill: "#52606d" }));
+    y += 16;
+    page.line(MARGIN, y, width - MARGIN, y);
+  };
+
+  y += 35;
+  if (y + 60 > bottom()) {
+    doc.addPage();
+    y = MARGIN;
+  }
+  page.text(MARGIN, y, "Topic breakdown", { size: 14, bold: true });
+  y += 25;
+  topicHeader();
+
+  card.topics.forEach(t => {
+    const rowHeight = Math.max(20, page.height(t.subject, { size: 11, width: subjectWidth }) + 8);
+    if (y + rowHeight > bottom()) {
+      doc.addPage();
+      y = MARGIN;
+      topicHeader();
+    }
+    y += 6;
+    page.text(40, y, t.subject, { size: 11, width: subjectWidth });
+    page.text(250, y, t.questions, { size: 11 });
+    page.text(320, y, t.attempted, { size: 11 });
+    page.text(390, y, t.correct, { size: 11 });
+    page.rect(450, y + 4, 80, 9, "#e4e7eb");
+    if (t.accuracy !== null) page.rect(450, y + 4, Math.max(1, 0.8 * t.accuracy), 9, t.accuracy >= 60 ? "#16a34a" : "#f59e0b");
+    page.text(535, y + 2, t.accuracy !== null ? `${Math.round(t.accuracy)}%` : "-", { size: 9, fill: "#52606d" });
+    y += rowHeight - 6;
+  });
+
+  const { count } = doc.bufferedPageRange();
+  for (let i = 0; i < count; i++) {
+    doc.switchToPage(i);
+    const footerY = doc.page.height - FOOTER_HEIGHT;
+    page.line(MARGIN, footerY, width - MARGIN, footerY);
+    page.text(MARGIN, footerY + 10, `Ranks are ${card.rankStatus}. Generated ${generatedLabel}.`, { size: 9, fill: "#7b8794" });
+    if (count > 1) page.text(width - MARGIN - 60, footerY + 10, `Page ${i + 1} of ${count}`, { size: 9, fill: "#7b8794" });
+  }
+
+  doc.end();
+  return done;
+}
+
+module.exports = { renderScorecardPdf };
@@ -6,21 +6,28 @@ const helmet = require("helmet");
 const compression = require("compression");
 const rateLimit = require("express-rate-limit");
 const admin = require("firebase-admin");
+const crypto = require("crypto");
+const { renderScorecardPdf } = require("./_lib/scorecardPdf");
 
 const app = express();
 
-app.use(express.json({ limit: "10kb" }));
+app.use(express.json({
+  limit: "10kb",
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith("/payments/webhook")) req.rawBody = buf;
+  }
+}));
 app.use(cors({
   origin: true,
-  methods: ["GET", "POST", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Review-Token"],
   credentials: true,
   optionsSuccessStatus: 204
 }));
 app.options(/.*/, (req, res) => {
   res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.header("Access-Control-Allow-Methods", "GET, POST, PATCH, DELETE, OPTIONS");
+  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Review-Token");
   res.sendStatus(204);
 });
 app.use(helmet());
@@ -54,6 +61,86 @@ async function connectDB() {
     { userId: 1, testId: 1, phase: 1, isLate: 1, score: -1, submittedAt: -1 },
     { background: true }
   );
+  await mongoose.model("Attempt").collection.createIndex(
+    { userId: 1, testId: 1, phase: 1, ranked: 1, status: 1 },
+    { background: true }
+  );
+  await mongoose.model("Attempt").collection.createIndex(
+    { userId: 1, testId: 1, phase: 1 },
+    { unique: true, partialFilterExpression: { ranked: true }, name: "ranked_attempt_unique", background: true }
+  ).catch(err => console.error("Ranked attempt unique index not created:", err.message));
+  await mongoose.model("Attempt").collection.createIndex(
+    { status: 1, deadline: 1 },
+    { background: true }
+  );
+  await mongoose.model("Question").collection.createIndex(
+    { testId: 1, phase: 1, subject: 1, topic: 1 },
+    { background: true }
+  );
+  await mongoose.model("RevisionItem").collection.createIndex(
+    { userId: 1, questionId: 1 },
+    { unique: true, background: true }
+  );
+  await mongoose.model("RevisionItem").collection.createIndex(
+    { userId: 1, mastered: 1, dueAt: 1 },
+    { background: true }
+  );
+  await mongoose.model("PracticeQuiz").collection.createIndex(
+    { userId: 1, createdAt: -1 },
+    { background: true }
+  );
+  await mongoose.model("Entitlement").collection.createIndex(
+    { userId: 1, status: 1, expiresAt: -1 },
+    { background: true }
+  );
+  await mongoose.model("FreeResult").collection.createIndex(
+    { testId: 1, userId: 1 },
+    { unique: true, background: true, partialFilterExpression: { ranked: true, userId: { $type: "string" } } }
+  );
+  await mongoose.model("FreeResult").collection.createIndex(
+    { testId: 1, attemptTokenId: 1 },
+    { unique: true, background: true, partialFilterExpression: { ranked: true, attemptTokenId: { $type: "string" } } }
+  );
+  await mongoose.model("EngagementDay").collection.createIndex(
+    { userId: 1, date: 1 },
+    { unique: true, background: true }
+  );
+  await mongoose.model("DeviceToken").collection.createIndex(
+    { userId: 1, disabledAt: 1 },
+    { background: true }
+  );
+  await mongoose.model("GroupMember").collection.createIndex(
+    { groupId: 1, userId: 1 },
+    { unique: true, background: true }
+  );
+  await mongoose.model("GroupMember").collection.createIndex(
+    { userId: 1, status: 1 },
+    { background: true }
+  );
+  await mongoose.model("Objection").collection.createIndex(
+    { userId: 1, questionId: 1 },
+    { unique: true, background: true, partialFilterExpression: { status: "open" } }
+  );
+  await mongoose.model("Objection").collection.createIndex(
+    { testId: 1, questionId: 1, status: 1 },
+    { background: true }
+  );
+  await mongoose.model("RankEntry").collection.createIndex(
+    { testId: 1, version: 1, userId: 1 },
+    { background: true }
+  );
+  await mongoose.model("RankEntry").collection.createIndex(
+    { testId: 1, version: 1, scope: 1, position: 1 },
+    { background: true }
+  );
+  await mongoose.model("LeaderboardEntry").collection.createIndex(
+    { board: 1, version: 1, position: 1 },
+    { background: true }
+  );
+  await mongoose.model("LeaderboardEntry").collection.createIndex(
+    { board: 1, version: 1, userId: 1 },
+    { background: true }
+  );
 
   return cached.conn;
 }
@@ -74,16 +161,50 @@ if (!admin.apps.length) {
   }
 }
 
+const markingSchemeSchema = new mongoose.Schema({
+  correct: Number,
+  negative: Number
+}, { _id: false });
+
 const testSchema = new mongoose.Schema({
   title: String,
   date: String,
   startTime: Date,
   endTime: Date,
+  resultRevealAt: Date,
+  answerKeyStatus: { type: String, enum: ["provisional", "final"] },
+  objectionWindowEndsAt: Date,
+  answerKeyFinalizedAt: Date,
   totalQuestions: Number,
   testType: { type: String, enum: ["paid", "free"], required: true },
+  series: { type: String, trim: true },
   isSundayFullTest: { type: Boolean, default: false },
+  shuffleQuestions: { type: Boolean, default: false },
+  shuffleOptions: { type: Boolean, default: false },
+  rankingPolicy: { type: String, enum: ["summed", "qualifying"], default: "summed" },
+  csatQualifyingPercent: { type: Number, default: 33, min: 0, max: 100 },
+  durationMinutes: {
+    GS: Number,
+    CSAT: Number
+  },
+  markingScheme: markingSchemeSchema,
+  phaseMarkingSchemes: {
+    GS: markingSchemeSchema,
+    CSAT: markingSchemeSchema
+  },
 }, { timestamps: true });
 
+const localizedContentSchema = new mongoose.Schema({
+  questionStatement: String,
+  options: {
+    option1: String,
+    option2: String,
+    option3: String,
+    option4: String
+  },
+  explanation: String
+}, { _id: false });
+
 const questionSchema = new mongoose.Schema({
   testId: mongoose.Schema.Types.ObjectId,
   questionNumber: Number,
@@ -95,7 +216,20 @@ const questionSchema = new mongoose.Schema({
     option4: String
   },
   correctOption: String,
-  phase: { type: String, enum: ["GS", "CSAT"], default: "GS" }
+  acceptedOptions: [String],
+  dropped: {
+    mode: { type: String, enum: ["award_all", "remove"] },
+    reason: String,
+    at: Date
+  },
+  explanation: String,
+  language: { type: String, default: "en" },
+  translations: { type: Map, of: localizedContentSchema },
+  phase: { type: String, enum: ["GS", "CSAT"], default: "GS" },
+  marking: markingSchemeSchema,
+  subject: { type: String, trim: true },
+  topic: { type: String, trim: true },
+  subtopic: { type: String, trim: true }
 });
 
 const resultSchema = new mongoose.Schema({
@@ -112,159 +246,1563 @@ const resultSchema = new mongoose.Schema({
   startedAt: Date,
   isLate: { type: Boolean, default: false },
   answers: [{
+    questionId: String,
+    selectedOption: String,
+    marks: Number
+  }],
+  markingScheme: markingSchemeSchema,
+  layout: {
+    shuffleQuestions: Boolean,
+    shuffleOptions: Boolean
+  },
+  timeTakenSeconds: { type: Number, default: 0 },
+  attemptId: mongoose.Schema.Types.ObjectId,
+  isOverTime: { type: Boolean, default: false },
+  excludedFromRanking: { type: Boolean, default: false },
+  scoreHistory: [{
+    _id: false,
+    regradeId: mongoose.Schema.Types.ObjectId,
+    reason: String,
+    previousScore: Number,
+    newScore: Number,
+    previousCorrect: Number,
+    newCorrect: Number,
+    previousIncorrect: Number,
+    newIncorrect: Number,
+    at: Date
+  }],
+  regradedAt: Date,
+  anonymizedAt: Date
+}, { timestamps: true });
+
+const attemptSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  testId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  phase: { type: String, enum: ["GS", "CSAT"], required: true },
+  startedAt: { type: Date, required: true },
+  deadline: { type: Date, required: true },
+  ranked: { type: Boolean, default: true },
+  status: { type: String, enum: ["in_progress", "submitted", "expired"], default: "in_progress" },
+  submittedAt: Date,
+  resultId: mongoose.Schema.Types.ObjectId,
+  draftAnswers: [{
+    _id: false,
     questionId: String,
     selectedOption: String
   }],
-  timeTakenSeconds: { type: Number, default: 0 }
+  draftSavedAt: Date,
+  autoSubmitted: { type: Boolean, default: false }
 }, { timestamps: true });
 
 const freeResultSchema = new mongoose.Schema({
   testId: mongoose.Schema.Types.ObjectId,
+  userId: String,
+  attemptTokenId: String,
+  ranked: { type: Boolean, default: true },
   score: Number,
+  correct: Number,
+  incorrect: Number,
+  unattempted: Number,
   totalQuestions: Number,
+  answers: [{
+    questionId: String,
+    selectedOption: String,
+    marks: Number
+  }],
+  markingScheme: markingSchemeSchema,
   submittedAt: { type: Date, default: Date.now },
 }, { timestamps: true });
 
+const rankSnapshotSchema = new mongoose.Schema({
+  testId: { type: mongoose.Schema.Types.ObjectId, required: true, unique: true },
+  version: Number,
+  computedAt: Date,
+  staleAt: Date,
+  lockedAt: Date,
+  totals: {
+    GS: Number,
+    CSAT: Number,
+    combined: Number
+  },
+  combined: {
+    policy: String,
+    csatThreshold: Number,
+    csatMaxMarks: Number,
+    qualifyingPercent: Number,
+    qualifiedParticipants: Number
+  }
+}, { timestamps: true });
+
+const rankEntrySchema = new mongoose.Schema({
+  testId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  version: { type: Number, required: true },
+  scope: { type: String, enum: ["GS", "CSAT", "combined"], required: true },
+  userId: String,
+  resultId: mongoose.Schema.Types.ObjectId,
+  score: Number,
+  gs: Number,
+  csat: Number,
+  qualified: Boolean,
+  submittedAt: Date,
+  position: Number,
+  rank: Number,
+  percentile: Number,
+  total: Number
+});
+
+const leaderboardSnapshotSchema = new mongoose.Schema({
+  board: { type: String, required: true, unique: true },
+  period: String,
+  from: String,
+  to: String,
+  series: String,
+  version: Number,
+  computedAt: Date,
+  staleAt: Date,
+  lockedAt: Date,
+  total: Number
+}, { timestamps: true });
+
+const leaderboardEntrySchema = new mongoose.Schema({
+  board: { type: String, required: true },
+  version: { type: Number, required: true },
+  userId: String,
+  totalMarks: Number,
+  totalCorrect: Number,
+  testsGiven: Number,
+  position: Number,
+  rank: Number,
+  percentile: Number
+});
+
+const revisionItemSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  testId: mongoose.Schema.Types.ObjectId,
+  phase: { type: String, enum: ["GS", "CSAT"] },
+  reason: { type: String, enum: ["incorrect", "unattempted"], required: true },
+  originalAnswer: String,
+  box: { type: Number, default: 0 },
+  availableAt: Date,
+  dueAt: { type: Date, default: Date.now },
+  reviewCount: { type: Number, default: 0 },
+  lapses: { type: Number, default: 0 },
+  lastReviewedAt: Date,
+  lastPracticeCorrect: Boolean,
+  mastered: { type: Boolean, default: false }
+}, { timestamps: true });
+
+const practiceQuizSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  filters: {
+    phase: String,
+    from: String,
+    to: String,
+    mode: String,
+    subject: String,
+    topic: String
+  },
+  questionIds: [mongoose.Schema.Types.ObjectId],
+  status: { type: String, enum: ["open", "submitted"], default: "open" },
+  score: Number,
+  correct: Number,
+  incorrect: Number,
+  unattempted: Number,
+  attempted: Number,
+  totalQuestions: Number,
+  answers: [{
+    questionId: String,
+    selectedOption: String,
+    marks: Number
+  }],
+  submittedAt: Date
+}, { timestamps: true });
+
+const planSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true },
+  name: String,
+  description: String,
+  pricePaise: Number,
+  currency: { type: String, default: "INR" },
+  validityDays: { type: Number, required: true },
+  features: { type: [String], default: ["paid_tests", "review"] },
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+const entitlementSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  planCode: { type: String, required: true },
+  features: [String],
+  startsAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true },
+  status: { type: String, enum: ["active", "revoked"], default: "active" },
+  source: { type: String, enum: ["webhook", "admin"], default: "webhook" },
+  paymentRef: { type: String, unique: true, sparse: true }
+}, { timestamps: true });
+
+const userProfileSchema = new mongoose.Schema({
+  userId: { type: String, required: true, unique: true },
+  displayName: { type: String, trim: true, maxlength: 40 },
+  district: { type: String, trim: true, maxlength: 60 },
+  avatarUrl: { type: String, trim: true, maxlength: 500 },
+  hideFromPublicBoards: { type: Boolean, default: false },
+  mistakesSyncedAt: Date
+}, { timestamps: true });
+
+const engagementSchema = new mongoose.Schema({
+  userId: { type: String, required: true, unique: true },
+  dailyGoal: {
+    tests: { type: Number, default: 1, min: 0, max: 10 },
+    questions: { type: Number, default: 0, min: 0, max: 500 }
+  },
+  currentStreak: { type: Number, default: 0 },
+  longestStreak: { type: Number, default: 0 },
+  lastStreakDate: String,
+  freezeTokens: { type: Number, default: 0 },
+  freezesUsed: { type: Number, default: 0 },
+  consecutiveTests: { type: Number, default: 0 },
+  lastOnTimeTestId: mongoose.Schema.Types.ObjectId,
+  badges: [{
+    _id: false,
+    key: String,
+    awardedAt: Date,
+    context: mongoose.Schema.Types.Mixed
+  }]
+}, { timestamps: true });
+
+const engagementDaySchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  date: { type: String, required: true },
+  tests: { type: Number, default: 0 },
+  questions: { type: Number, default: 0 },
+  goalMet: { type: Boolean, default: false },
+  frozen: { type: Boolean, default: false }
+}, { timestamps: true });
+
+const deviceTokenSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  token: { type: String, required: true, unique: true },
+  platform: { type: String, enum: ["android", "ios", "web"], required: true },
+  lastSeenAt: Date,
+  disabledAt: Date,
+  disabledReason: String
+}, { timestamps: true });
+
+const notificationSettingSchema = new mongoose.Schema({
+  userId: { type: String, required: true, unique: true },
+  testStarting: { type: Boolean, default: true },
+  testClosing: { type: Boolean, default: true },
+  ranksRevealed: { type: Boolean, default: true },
+  quietHours: {
+    start: String,
+    end: String
+  }
+}, { timestamps: true });
+
+const notificationLogSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  userId: { type: String, required: true },
+  type: { type: String, enum: ["test_starting", "test_closing", "ranks_revealed"], required: true },
+  testId: mongoose.Schema.Types.ObjectId,
+  title: String,
+  body: String,
+  transport: String,
+  status: { type: String, enum: ["sending", "sent", "no_devices", "failed"], default: "sending" },
+  successCount: Number,
+  error: String,
+  sentAt: Date
+}, { timestamps: true });
+
+const scorecardShareSchema = new mongoose.Schema({
+  shareId: { type: String, required: true, unique: true },
+  userId: { type: String, required: true },
+  testId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  views: { type: Number, default: 0 }
+}, { timestamps: true });
+
+const studyGroupSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 60 },
+  description: { type: String, trim: true, maxlength: 280 },
+  inviteCode: { type: String, required: true, unique: true },
+  createdBy: String
+}, { timestamps: true });
+
+const groupMemberSchema = new mongoose.Schema({
+  groupId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  userId: { type: String, required: true },
+  role: { type: String, enum: ["admin", "member"], default: "member" },
+  status: { type: String, enum: ["active", "removed"], default: "active" },
+  joinedAt: { type: Date, default: Date.now },
+  removedBy: String,
+  removedAt: Date
+}, { timestamps: true });
+
+const resultFlagSchema = new mongoose.Schema({
+  resultId: { type: mongoose.Schema.Types.ObjectId, required: true, unique: true },
+  testId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  userId: String,
+  phase: String,
+  reasons: [{
+    _id: false,
+    type: { type: String },
+    severity: { type: String, enum: ["low", "medium", "high"] },
+    details: mongoose.Schema.Types.Mixed
+  }],
+  status: { type: String, enum: ["pending", "cleared", "confirmed"], default: "pending" },
+  excludeFromRanking: { type: Boolean, default: false },
+  reviewedBy: String,
+  reviewedAt: Date,
+  note: String
+}, { timestamps: true });
+
+const anomalyReportSchema = new mongoose.Schema({
+  testId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  generatedBy: String,
+  thresholds: mongoose.Schema.Types.Mixed,
+  summary: mongoose.Schema.Types.Mixed,
+  clusters: mongoose.Schema.Types.Mixed
+}, { timestamps: true });
+
+const objectionSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  testId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  phase: String,
+  claimedOption: { type: String, enum: ["option1", "option2", "option3", "option4"] },
+  reason: { type: String, required: true, maxlength: 1000 },
+  reference: { type: String, maxlength: 500 },
+  status: { type: String, enum: ["open", "withdrawn", "accepted", "rejected"], default: "open" },
+  moderatorResponse: String,
+  resolvedBy: String,
+  resolvedAt: Date,
+  withdrawnAt: Date
+}, { timestamps: true });
+
+const regradeSchema = new mongoose.Schema({
+  testId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  phase: String,
+  action: { type: String, enum: ["change_key", "accept_multiple", "drop"], required: true },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  reason: { type: String, required: true },
+  createdBy: String,
+  status: { type: String, enum: ["queued", "running", "completed", "failed"], default: "queued" },
+  progress: {
+    stage: { type: String, enum: ["results", "free"] },
+    lastId: mongoose.Schema.Types.ObjectId
+  },
+  lockedAt: Date,
+  attempts: { type: Number, default: 0 },
+  resultsScanned: { type: Number, default: 0 },
+  resultsChanged: { type: Number, default: 0 },
+  freeResultsChanged: { type: Number, default: 0 },
+  startedAt: Date,
+  completedAt: Date,
+  error: String
+}, { timestamps: true });
+
 const Test = mongoose.models.Test || mongoose.model("Test", testSchema);
 const Question = mongoose.models.Question || mongoose.model("Question", questionSchema);
 const Result = mongoose.models.Result || mongoose.model("Result", resultSchema);
 const FreeResult = mongoose.models.FreeResult || mongoose.model("FreeResult", freeResultSchema);
+const Attempt = mongoose.models.Attempt || mongoose.model("Attempt", attemptSchema);
+const RankSnapshot = mongoose.models.RankSnapshot || mongoose.model("RankSnapshot", rankSnapshotSchema);
+const RankEntry = mongoose.models.RankEntry || mongoose.model("RankEntry", rankEntrySchema);
+const LeaderboardSnapshot = mongoose.models.LeaderboardSnapshot || mongoose.model("LeaderboardSnapshot", leaderboardSnapshotSchema);
+const LeaderboardEntry = mongoose.models.LeaderboardEntry || mongoose.model("LeaderboardEntry", leaderboardEntrySchema);
+const RevisionItem = mongoose.models.RevisionItem || mongoose.model("RevisionItem", revisionItemSchema);
+const PracticeQuiz = mongoose.models.PracticeQuiz || mongoose.model("PracticeQuiz", practiceQuizSchema);
+const Plan = mongoose.models.Plan || mongoose.model("Plan", planSchema);
+const Entitlement = mongoose.models.Entitlement || mongoose.model("Entitlement", entitlementSchema);
+const UserProfile = mongoose.models.UserProfile || mongoose.model("UserProfile", userProfileSchema);
+const Engagement = mongoose.models.Engagement || mongoose.model("Engagement", engagementSchema);
+const EngagementDay = mongoose.models.EngagementDay || mongoose.model("EngagementDay", engagementDaySchema);
+const DeviceToken = mongoose.models.DeviceToken || mongoose.model("DeviceToken", deviceTokenSchema);
+const NotificationSetting = mongoose.models.NotificationSetting || mongoose.model("NotificationSetting", notificationSettingSchema);
+const NotificationLog = mongoose.models.NotificationLog || mongoose.model("NotificationLog", notificationLogSchema);
+const ScorecardShare = mongoose.models.ScorecardShare || mongoose.model("ScorecardShare", scorecardShareSchema);
+const StudyGroup = mongoose.models.StudyGroup || mongoose.model("StudyGroup", studyGroupSchema);
+const GroupMember = mongoose.models.GroupMember || mongoose.model("GroupMember", groupMemberSchema);
+const ResultFlag = mongoose.models.ResultFlag || mongoose.model("ResultFlag", resultFlagSchema);
+const AnomalyReport = mongoose.models.AnomalyReport || mongoose.model("AnomalyReport", anomalyReportSchema);
+const Objection = mongoose.models.Objection || mongoose.model("Objection", objectionSchema);
+const Regrade = mongoose.models.Regrade || mongoose.model("Regrade", regradeSchema);
+
+const RANKED_RESULT = { isLate: false, excludedFromRanking: { $ne: true } };
+
+const cronAuth = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return res.status(503).json({ message: "Cron jobs are not configured" });
+  if (req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ message: "Unauthorized" });
+  }
+  next();
+};
+
+const knownProfiles = new Set();
+
+function anonymousDisplayName(uid) {
+  return `Aspirant ${crypto.createHash("sha256").update(uid).digest("hex").substring(0, 6).toUpperCase()}`;
+}
+
+async function ensureUserProfile(decoded) {
+  if (knownProfiles.has(decoded.uid)) return;
+  await connectDB();
+  const firstName = typeof decoded.name === "string" ? decoded.name.trim().split(/\s+/)[0] : "";
+  await UserProfile.updateOne(
+    { userId: decoded.uid },
+    {
+      $setOnInsert: {
+        userId: decoded.uid,
+        displayName: firstName ? firstName.substring(0, 40) : anonymousDisplayName(decoded.uid),
+        avatarUrl: decoded.picture || undefined
+      }
+    },
+    { upsert: true }
+  );
+  knownProfiles.add(decoded.uid);
+}
 
 const userAuth = async (req, res, next) => {
   if (!firebaseInitialized) return res.status(503).json({ message: "Auth service unavailable" });
   const authHeader = req.headers.authorization;
   if (!authHeader) return res.status(401).json({ message: "No token provided" });
   const token = authHeader.startsWith("Bearer ") ? authHeader.split(" ")[1] : authHeader;
+  let decoded;
   try {
-    const decoded = await admin.auth().verifyIdToken(token);
-    req.user = decoded;
-    next();
+    decoded = await admin.auth().verifyIdToken(token);
   } catch (err) {
     return res.status(401).json({ message: "Invalid Firebase token" });
   }
+  req.user = decoded;
+  try {
+    await ensureUserProfile(decoded);
+  } catch (err) {
+    console.error("ensureUserProfile error:", err.message);
+  }
+  next();
+};
+
+const requireClaim = (...claims) => (req, res, next) => {
+  if (!req.user || !claims.some(claim => req.user[claim] === true)) {
+    return res.status(403).json({ message: "You do not have access to this resource" });
+  }
+  next();
+};
+
+const optionalUserAuth = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!firebaseInitialized || !authHeader) return next();
+  const token = authHeader.startsWith("Bearer ") ? authHeader.split(" ")[1] : authHeader;
+  try {
+    req.user = await admin.auth().verifyIdToken(token);
+  } catch (err) {
+    return next();
+  }
+  try {
+    await ensureUserProfile(req.user);
+  } catch (err) {
+    console.error("ensureUserProfile error:", err.message);
+  }
+  next();
 };
 
-function calculateNetScore(correct, incorrect) {
-  const marksPerCorrect = 2;
-  const negativePerWrong = 2 / 3;
-  return (correct * marksPerCorrect) - (incorrect * negativePerWrong);
+function signToken(payload, ttlSeconds) {
+  const secret = process.env.TOKEN_SIGNING_SECRET;
+  if (!secret) throw new Error("TOKEN_SIGNING_SECRET is missing");
+  const body = Buffer.from(JSON.stringify({
+    ...payload,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  })).toString("base64url");
+  const sig = crypto.createHmac("sha256", secret).update(body).digest("base64url");
+  return `${body}.${sig}`;
 }
 
-const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+function verifyToken(token, purpose) {
+  const secret = process.env.TOKEN_SIGNING_SECRET;
+  if (!secret || typeof token !== "string") return null;
+  const [body, sig] = token.split(".");
+  if (!body || !sig) return null;
+  const expected = crypto.createHmac("sha256", secret).update(body).digest("base64url");
+  if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    if (payload.purpose !== purpose) return null;
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch (err) {
+    return null;
+  }
+}
 
-function nowIST() {
-  return new Date(Date.now() + IST_OFFSET_MS);
+async function withPublicProfiles(rows, viewerUid) {
+  const userIds = [...new Set(rows.map(r => r.userId).filter(Boolean))];
+  const profiles = await UserProfile.find({ userId: { $in: userIds } }).lean();
+  const byUser = new Map(profiles.map(p => [p.userId, p]));
+
+  return rows.map(({ userId, ...row }) => {
+    if (!userId) {
+      return { ...row, displayName: "Guest", district: null, avatarUrl: null, isYou: false };
+    }
+    const profile = byUser.get(userId);
+    const isYou = !!viewerUid && userId === viewerUid;
+    const hidden = profile?.hideFromPublicBoards && !isYou;
+    return {
+      ...row,
+      displayName: hidden ? "Anonymous aspirant" : (profile?.displayName || anonymousDisplayName(userId)),
+      district: hidden ? null : (profile?.district || null),
+      avatarUrl: hidden ? null : (profile?.avatarUrl || null),
+      isYou,
+    };
+  });
 }
 
-function isRankRevealTime() {
-  const ist = nowIST();
-  const hours = ist.getUTCHours();
-  const minutes = ist.getUTCMinutes();
-  return (hours > 11) || (hours === 11 && minutes >= 30);
+function formatPlan(plan) {
+  return {
+    code: plan.code,
+    name: plan.name,
+    description: plan.description || null,
+    price: plan.pricePaise != null ? plan.pricePaise / 100 : null,
+    currency: plan.currency,
+    validityDays: plan.validityDays,
+    features: plan.features,
+  };
 }
 
-function rankRevealTimeIST() {
-  return "5:00 PM IST";
+async function findActiveEntitlement(userId, feature) {
+  return Entitlement.findOne({
+    userId,
+    status: "active",
+    features: feature,
+    startsAt: { $lte: new Date() },
+    expiresAt: { $gt: new Date() }
+  }).sort({ expiresAt: -1 }).lean();
 }
 
-app.get("/user/analytics/summary", userAuth, async (req, res) => {
+async function entitlementRequiredResponse(userId, feature) {
+  const [plans, lastEntitlement] = await Promise.all([
+    Plan.find({ active: true }).sort({ pricePaise: 1 }).lean(),
+    Entitlement.findOne({ userId, features: feature }).sort({ expiresAt: -1 }).lean()
+  ]);
+  const body = {
+    message: "An active subscription is required to access paid tests.",
+    entitlementRequired: true,
+    feature,
+    plans: plans.map(formatPlan),
+  };
+  if (lastEntitlement?.status === "revoked") {
+    return { status: 403, body: { ...body, message: "Your subscription has been revoked. Please contact support." } };
+  }
+  if (lastEntitlement) {
+    body.expiredAt = lastEntitlement.expiresAt;
+    body.message = "Your subscription has expired. Renew to continue accessing paid tests.";
+  }
+  return { status: 402, body };
+}
+
+const requireEntitlement = feature => async (req, res, next) => {
   try {
     await connectDB();
-    const uid = req.user.uid;
-
-    const results = await Result.find({ userId: uid, isLate: false }).lean();
-
-    if (results.length === 0) {
-      return res.json({
-        testsGiven: 0,
-        totalCorrect: 0,
-        totalIncorrect: 0,
-        totalUnattempted: 0,
-        totalTimeTakenSeconds: 0,
-        avgPercentage: 0,
-        bestPercentage: 0,
-        currentStreak: 0,
-        longestStreak: 0,
-        quizTypeStats: {},
-      });
+    const entitlement = await findActiveEntitlement(req.user.uid, feature);
+    if (entitlement) {
+      req.entitlement = entitlement;
+      return next();
     }
+    const { status, body } = await entitlementRequiredResponse(req.user.uid, feature);
+    return res.status(status).json(body);
+  } catch (err) {
+    console.error("requireEntitlement error:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+};
 
-    let totalCorrect = 0;
-    let totalIncorrect = 0;
-    let totalUnattempted = 0;
-    let totalTime = 0;
-    let bestPct = 0;
-    let sumPct = 0;
+function verifyWebhookSignature(rawBody, signature, secret) {
+  if (!rawBody || !signature || !secret) return false;
+  const expected = crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+  const given = Buffer.from(String(signature), "utf8");
+  const wanted = Buffer.from(expected, "utf8");
+  return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+}
 
-    const dates = new Set();
+async function revokePaymentEntitlements(paymentRef) {
+  const entitlements = await Entitlement.find({ paymentRef, status: "active" }).lean();
+  const now = new Date();
+  let revoked = 0;
+  for (const e of entitlements) {
+    const res = await Entitlement.updateOne({ _id: e._id, status: "active" }, { $set: { status: "revoked" } });
+    if (!res.modifiedCount) continue;
+    revoked++;
+
+    const removedMs = e.expiresAt.getTime() - Math.max(e.startsAt.getTime(), now.getTime());
+    if (removedMs <= 0) continue;
+    const stacked = await Entitlement.find({
+      userId: e.userId,
+      planCode: e.planCode,
+      status: "active",
+      startsAt: { $gte: e.expiresAt }
+    }).lean();
+    if (stacked.length) {
+      await Entitlement.bulkWrite(stacked.map(s => ({
+        updateOne: {
+          filter: { _id: s._id },
+          update: {
+            $set: {
+              startsAt: new Date(s.startsAt.getTime() - removedMs),
+              expiresAt: new Date(s.expiresAt.getTime() - removedMs)
+            }
+          }
+        }
+      })), { ordered: false });
+    }
+  }
+  return revoked;
+}
 
-    const quizTypeStats = {
-      paidDaily:   { count: 0, totalCorrect: 0, totalIncorrect: 0, totalMarks: 0, bestPercentage: 0, avgPercentage: 0, totalTimeSeconds: 0, minTimeSeconds: undefined, maxTimeSeconds: undefined },
-      paidPhase1:  { count: 0, totalCorrect: 0, totalIncorrect: 0, totalMarks: 0, bestPercentage: 0, avgPercentage: 0, totalTimeSeconds: 0, minTimeSeconds: undefined, maxTimeSeconds: undefined },
-      paidPhase2:  { count: 0, totalCorrect: 0, totalIncorrect: 0, totalMarks: 0, bestPercentage: 0, avgPercentage: 0, totalTimeSeconds: 0, minTimeSeconds: undefined, maxTimeSeconds: undefined },
-    };
+async function grantEntitlement({ userId, plan, paymentRef, source, paidAt }) {
+  const now = paidAt ? new Date(paidAt) : new Date();
+  const current = await Entitlement.findOne({
+    userId,
+    planCode: plan.code,
+    status: "active",
+    expiresAt: { $gt: now }
+  }).sort({ expiresAt: -1 }).lean();
+
+  const startsAt = current ? current.expiresAt : now;
+  const expiresAt = new Date(startsAt.getTime() + plan.validityDays * DAY_MS);
+
+  return Entitlement.create({
+    userId,
+    planCode: plan.code,
+    features: plan.features,
+    startsAt,
+    expiresAt,
+    source,
+    paymentRef
+  });
+}
 
-    results.forEach(r => {
-      totalCorrect += r.correct || 0;
-      totalIncorrect += r.incorrect || 0;
-      totalUnattempted += r.unattempted || 0;
-      totalTime += r.timeTakenSeconds || 0;
+const DEFAULT_MARKING_SCHEMES = {
+  paid: { correct: 2, negative: 2 / 3 },
+  free: { correct: 1, negative: 0 },
+};
 
-      const pct = r.totalQuestions > 0 ? (r.correct / r.totalQuestions) * 100 : 0;
-      sumPct += pct;
-      bestPct = Math.max(bestPct, pct);
+function resolveMarkingScheme(test, phase) {
+  const fallback = DEFAULT_MARKING_SCHEMES[test.testType] || DEFAULT_MARKING_SCHEMES.paid;
+  const base = test.markingScheme || {};
+  const override = (phase && test.phaseMarkingSchemes?.[phase]) || {};
+  return {
+    correct: override.correct ?? base.correct ?? fallback.correct,
+    negative: override.negative ?? base.negative ?? fallback.negative,
+  };
+}
 
-      const dateStr = r.submittedAt.toISOString().split('T')[0];
-      dates.add(dateStr);
+function questionMarks(question, scheme, isCorrect) {
+  const marking = question.marking || {};
+  if (isCorrect) return marking.correct ?? scheme.correct;
+  return -(marking.negative ?? scheme.negative);
+}
 
-      let qtKey = 'paidDaily';
-      if (r.phase === 'GS' && r.totalQuestions === 100) qtKey = 'paidPhase1';
-      if (r.phase === 'CSAT') qtKey = 'paidPhase2';
+const OPTION_KEYS = ["option1", "option2", "option3", "option4"];
+
+function seededRandom(seed) {
+  let state = crypto.createHash("sha256").update(seed).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
 
-      const qt = quizTypeStats[qtKey];
-      qt.count++;
-      qt.totalCorrect += r.correct || 0;
-      qt.totalIncorrect += r.incorrect || 0;
-      qt.totalMarks += (r.correct * 2) - (r.incorrect * (2 / 3));
-      qt.bestPercentage = Math.max(qt.bestPercentage, pct);
+function seededShuffle(items, seed) {
+  const rand = seededRandom(seed);
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
 
-      const timeSec = r.timeTakenSeconds || 0;
-      qt.totalTimeSeconds += timeSec;
-      if (qt.minTimeSeconds === undefined || timeSec < qt.minTimeSeconds) qt.minTimeSeconds = timeSec;
-      if (qt.maxTimeSeconds === undefined || timeSec > qt.maxTimeSeconds) qt.maxTimeSeconds = timeSec;
+function questionLayout(flags, userId, testId, phase, questions) {
+  const seed = `${userId}:${testId}:${phase}`;
+  const base = [...questions].sort((a, b) => (a.questionNumber || 0) - (b.questionNumber || 0));
+  const ordered = flags?.shuffleQuestions ? seededShuffle(base, `${seed}:order`) : base;
+
+  const layout = new Map();
+  ordered.forEach((q, idx) => {
+    const qid = q._id.toString();
+    layout.set(qid, {
+      displayNumber: idx + 1,
+      optionOrder: flags?.shuffleOptions ? seededShuffle(OPTION_KEYS, `${seed}:${qid}`) : OPTION_KEYS,
     });
+  });
+  return { order: ordered.map(q => q._id.toString()), byQuestion: layout };
+}
 
-    Object.values(quizTypeStats).forEach(qt => {
-      if (qt.count > 0) {
-        qt.avgPercentage = (qt.totalCorrect / (qt.totalCorrect + qt.totalIncorrect)) * 100 || 0;
-        qt.avgTimeSeconds = qt.totalTimeSeconds / qt.count;
-        qt.avgTimeMinutes = Math.floor(qt.avgTimeSeconds / 60);
-        qt.avgTimeSecs = Math.round(qt.avgTimeSeconds % 60);
-      }
+function applyLayout(questions, layout) {
+  const byId = new Map(questions.map(q => [q._id.toString(), q]));
+  return layout.order.filter(qid => byId.has(qid)).map(qid => {
+    const q = byId.get(qid);
+    const { displayNumber, optionOrder } = layout.byQuestion.get(qid);
+    const options = {};
+    optionOrder.forEach((canonicalKey, idx) => {
+      options[OPTION_KEYS[idx]] = q.options?.[canonicalKey];
     });
+    return { ...q, displayNumber, options };
+  });
+}
 
-    const testsGiven = results.length;
-    const avgPercentage = testsGiven > 0 ? sumPct / testsGiven : 0;
+function toCanonicalOption(layout, questionId, displayedOption) {
+  const entry = layout.byQuestion.get(questionId);
+  const idx = OPTION_KEYS.indexOf(displayedOption);
+  if (!entry || idx === -1) return displayedOption;
+  return entry.optionOrder[idx];
+}
 
-    const sortedDates = [...dates].sort();
-    let currentStreak = 0;
-    let longestStreak = 0;
-    let prevDate = null;
-
-    for (const d of sortedDates) {
-      const curr = new Date(d);
-      if (prevDate) {
-        const diffDays = Math.round((curr - prevDate) / (1000 * 60 * 60 * 24));
-        if (diffDays === 1) currentStreak++;
-        else currentStreak = 1;
-      } else {
-        currentStreak = 1;
-      }
-      longestStreak = Math.max(longestStreak, currentStreak);
-      prevDate = curr;
+function toDisplayedOption(layout, questionId, canonicalOption) {
+  const entry = layout.byQuestion.get(questionId);
+  if (!entry || !canonicalOption) return canonicalOption || null;
+  const idx = entry.optionOrder.indexOf(canonicalOption);
+  return idx === -1 ? canonicalOption : OPTION_KEYS[idx];
+}
+
+function layoutFlags(test) {
+  return { shuffleQuestions: !!test.shuffleQuestions, shuffleOptions: !!test.shuffleOptions };
+}
+
+function phaseQuestionFilter(test, phase) {
+  const filter = { testId: test._id };
+  if (test.isSundayFullTest) filter.phase = phase;
+  return filter;
+}
+
+function isAnswerCorrect(question, selectedOption) {
+  if (!selectedOption) return false;
+  return selectedOption === question.correctOption || (question.acceptedOptions || []).includes(selectedOption);
+}
+
+function answerCredited(question, selectedOption) {
+  return question.dropped?.mode === "award_all" || isAnswerCorrect(question, selectedOption);
+}
+
+function gradeAnswers(questions, answers, scheme) {
+  let correct = 0;
+  let incorrect = 0;
+  let unattempted = 0;
+  let attempted = 0;
+  let score = 0;
+
+  const seen = new Set();
+  const savedAnswers = answers.filter(ans => {
+    if (seen.has(ans.questionId)) return false;
+    seen.add(ans.questionId);
+    return true;
+  }).map(ans => {
+    const q = questions.find(qq => qq._id.toString() === ans.questionId);
+    if (!q) return { questionId: ans.questionId, selectedOption: null, marks: 0 };
+
+    const selected = ans.selectedOption || null;
+    if (q.dropped?.mode === "remove") {
+      return { questionId: ans.questionId, selectedOption: selected, marks: 0 };
+    }
+    if (selected) attempted++;
+    if (q.dropped?.mode === "award_all") {
+      const marks = questionMarks(q, scheme, true);
+      correct++;
+      score += marks;
+      return { questionId: ans.questionId, selectedOption: selected, marks };
+    }
+    if (!selected) {
+      unattempted++;
+      return { questionId: ans.questionId, selectedOption: null, marks: 0 };
     }
 
-    res.json({
+    const isCorrect = isAnswerCorrect(q, selected);
+    if (isCorrect) {
+      correct++;
+    } else {
+      incorrect++;
+    }
+
+    const marks = questionMarks(q, scheme, isCorrect);
+    score += marks;
+    return { questionId: ans.questionId, selectedOption: selected, marks };
+  });
+
+  questions.forEach(q => {
+    if (q.dropped?.mode !== "award_all" || seen.has(q._id.toString())) return;
+    correct++;
+    score += questionMarks(q, scheme, true);
+  });
+
+  const totalQuestions = questions.filter(q => q.dropped?.mode !== "remove").length;
+
+  return { correct, incorrect, unattempted, attempted, score, totalQuestions, savedAnswers };
+}
+
+async function submitAttempt(attempt, test, questions, answers, submittedAt) {
+  const isOverTime = submittedAt.getTime() > attempt.deadline.getTime() + SUBMIT_GRACE_MS;
+  const isLate = !attempt.ranked || isOverTime;
+  const timeTakenSeconds = Math.round(
+    (Math.min(submittedAt.getTime(), attempt.deadline.getTime()) - attempt.startedAt.getTime()) / 1000
+  );
+
+  const markingScheme = resolveMarkingScheme(test, attempt.phase);
+  const flags = layoutFlags(test);
+  const layout = questionLayout(flags, attempt.userId, test._id, attempt.phase, questions);
+  const canonicalAnswers = answers.map(a => ({
+    questionId: a.questionId,
+    selectedOption: a.selectedOption ? toCanonicalOption(layout, a.questionId, a.selectedOption) : a.selectedOption
+  }));
+  const { correct, incorrect, unattempted, attempted, score, totalQuestions, savedAnswers } = gradeAnswers(questions, canonicalAnswers, markingScheme);
+
+  const claimed = await Attempt.findOneAndUpdate(
+    { _id: attempt._id, status: "in_progress" },
+    { $set: { status: "submitted", submittedAt } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  let result;
+  try {
+    result = await Result.create({
+      userId: attempt.userId,
+      testId: attempt.testId,
+      phase: attempt.phase,
+      score,
+      correct,
+      incorrect,
+      unattempted,
+      attempted,
+      totalQuestions,
+      submittedAt,
+      startedAt: attempt.startedAt,
+      isLate,
+      answers: savedAnswers,
+      markingScheme,
+      layout: flags,
+      timeTakenSeconds,
+      attemptId: attempt._id,
+      isOverTime
+    });
+  } catch (err) {
+    await Attempt.updateOne(
+      { _id: attempt._id, status: "submitted", resultId: null },
+      { $set: { status: "in_progress" }, $unset: { submittedAt: "" } }
+    );
+    throw err;
+  }
+
+  await Attempt.updateOne({ _id: attempt._id }, { $set: { resultId: result._id } });
+  if (!isLate) await markRankSnapshotStale(attempt.testId);
+  await addResultToMistakeNotebook(result, test, questions);
+  const badges = await recordEngagement(attempt.userId, { questions: attempted, at: submittedAt, result, test });
+
+  return { attempt: claimed, result, badges };
+}
+
+async function autoSubmitExpiredAttempts(filter = {}) {
+  const cutoff = new Date(Date.now() - SUBMIT_GRACE_MS);
+  const expired = await Attempt.find({
+    ...filter,
+    status: "in_progress",
+    deadline: { $lt: cutoff }
+  }).limit(500);
+
+  const testCache = new Map();
+  const questionCache = new Map();
+  let submitted = 0;
+  let closed = 0;
+
+  for (const attempt of expired) {
+    if (!attempt.draftAnswers || attempt.draftAnswers.length === 0) {
+      const res = await Attempt.updateOne(
+        { _id: attempt._id, status: "in_progress" },
+        { $set: { status: "expired" } }
+      );
+      closed += res.modifiedCount;
+      continue;
+    }
+
+    const testKey = attempt.testId.toString();
+    if (!testCache.has(testKey)) testCache.set(testKey, await Test.findById(attempt.testId).lean());
+    const test = testCache.get(testKey);
+    if (!test) continue;
+
+    const qKey = `${testKey}:${attempt.phase}`;
+    if (!questionCache.has(qKey)) {
+      questionCache.set(qKey, await Question.find(phaseQuestionFilter(test, attempt.phase)).lean());
+    }
+    const questions = questionCache.get(qKey);
+    if (questions.length === 0) continue;
+
+    if (attempt.ranked) {
+      const existing = await Result.exists({
+        userId: attempt.userId,
+        testId: attempt.testId,
+        phase: attempt.phase,
+        isLate: false
+      });
+      if (existing) {
+        await Attempt.updateOne({ _id: attempt._id, status: "in_progress" }, { $set: { status: "expired" } });
+        closed++;
+        continue;
+      }
+    }
+
+    const submission = await submitAttempt(attempt, test, questions, attempt.draftAnswers, attempt.deadline);
+    if (submission) {
+      await Attempt.updateOne({ _id: attempt._id }, { $set: { autoSubmitted: true } });
+      submitted++;
+    }
+  }
+
+  return { scanned: expired.length, submitted, closed };
+}
+
+async function combinedRankingPolicy(test) {
+  const policy = test.rankingPolicy || "summed";
+  if (policy !== "qualifying") return { policy };
+
+  const csatQuestions = await Question.find({ testId: test._id, phase: "CSAT" }).select("marking").lean();
+  const scheme = resolveMarkingScheme(test, "CSAT");
+  const csatMaxMarks = csatQuestions.reduce((sum, q) => sum + questionMarks(q, scheme, true), 0);
+  const qualifyingPercent = test.csatQualifyingPercent ?? 33;
+
+  return {
+    policy,
+    qualifyingPercent,
+    csatMaxMarks,
+    csatThreshold: (csatMaxMarks * qualifyingPercent) / 100,
+  };
+}
+
+function combinedStandingsPipeline(test, ranking) {
+  const pipeline = [
+    { $match: { testId: test._id, ...RANKED_RESULT, phase: { $in: ["GS", "CSAT"] } } },
+    { $group: {
+        _id: "$userId",
+        totalScore: { $sum: "$score" },
+        gsScore: { $sum: { $cond: [{ $eq: ["$phase", "GS"] }, "$score", 0] } },
+        csatScore: { $sum: { $cond: [{ $eq: ["$phase", "CSAT"] }, "$score", 0] } },
+        phases: { $addToSet: "$phase" },
+        lastSubmittedAt: { $max: "$submittedAt" }
+      }},
+    { $match: { "phases.1": { $exists: true } } },
+  ];
+  if (ranking.policy === "qualifying") {
+    pipeline.push({ $addFields: { qualified: { $gte: ["$csatScore", ranking.csatThreshold] }, meritScore: "$gsScore" } });
+  } else {
+    pipeline.push({ $addFields: { qualified: true, meritScore: "$totalScore" } });
+  }
+  return pipeline;
+}
+
+const RANK_SNAPSHOT_LOCK_MS = 2 * 60 * 1000;
+
+function rankPercentile(rank, total) {
+  return total > 0 ? Math.round(((total - rank) / total) * 10000) / 100 : 0;
+}
+
+function competitionRanks(rows, scoreOf) {
+  let rank = 0;
+  let prevScore = null;
+  return rows.map((row, idx) => {
+    const score = Math.round(scoreOf(row) * 100) / 100;
+    if (idx === 0 || score !== prevScore) {
+      rank = idx + 1;
+      prevScore = score;
+    }
+    return rank;
+  });
+}
+
+async function computeRankSnapshot(test) {
+  const startedAt = new Date();
+  let meta;
+  try {
+    meta = await RankSnapshot.findOneAndUpdate(
+      {
+        testId: test._id,
+        $or: [{ lockedAt: null }, { lockedAt: { $lt: new Date(startedAt.getTime() - RANK_SNAPSHOT_LOCK_MS) } }]
+      },
+      { $set: { lockedAt: startedAt } },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+
+  const version = (meta.version || 0) + 1;
+  const entries = [];
+  const totals = {};
+  const phases = test.isSundayFullTest ? ["GS", "CSAT"] : ["GS"];
+
+  for (const phase of phases) {
+    const results = await Result.find({ testId: test._id, phase, ...RANKED_RESULT })
+      .select("userId score submittedAt")
+      .sort({ score: -1, submittedAt: 1 })
+      .lean();
+    totals[phase] = results.length;
+    const ranks = competitionRanks(results, r => r.score);
+    results.forEach((r, idx) => {
+      entries.push({
+        testId: test._id,
+        version,
+        scope: phase,
+        userId: r.userId,
+        resultId: r._id,
+        score: r.score,
+        submittedAt: r.submittedAt,
+        position: idx + 1,
+        rank: ranks[idx],
+        percentile: rankPercentile(ranks[idx], results.length),
+        total: results.length
+      });
+    });
+  }
+
+  let combinedMeta;
+  if (test.isSundayFullTest) {
+    const ranking = await combinedRankingPolicy(test);
+    const standings = await Result.aggregate([
+      ...combinedStandingsPipeline(test, ranking),
+      { $sort: { qualified: -1, meritScore: -1, lastSubmittedAt: 1 } }
+    ]);
+    const qualifiedCount = standings.filter(e => e.qualified).length;
+    totals.combined = standings.length;
+
+    const ranks = competitionRanks(standings.slice(0, qualifiedCount), e => e.meritScore);
+    standings.forEach((e, idx) => {
+      const rank = ranks[idx];
+      entries.push({
+        testId: test._id,
+        version,
+        scope: "combined",
+        userId: e._id,
+        score: e.meritScore,
+        gs: e.gsScore,
+        csat: e.csatScore,
+        qualified: e.qualified,
+        submittedAt: e.lastSubmittedAt,
+        position: idx + 1,
+        rank: e.qualified ? rank : null,
+        percentile: e.qualified ? rankPercentile(rank, qualifiedCount) : null,
+        total: qualifiedCount
+      });
+    });
+
+    combinedMeta = {
+      policy: ranking.policy,
+      csatThreshold: ranking.csatThreshold,
+      csatMaxMarks: ranking.csatMaxMarks,
+      qualifyingPercent: ranking.qualifyingPercent,
+      qualifiedParticipants: qualifiedCount
+    };
+  }
+
+  if (entries.length) await RankEntry.insertMany(entries, { ordered: false });
+
+  const updated = await RankSnapshot.findOneAndUpdate(
+    { _id: meta._id },
+    { $set: { version, computedAt: startedAt, totals, combined: combinedMeta, lockedAt: null } },
+    { new: true }
+  ).lean();
+  await RankEntry.deleteMany({ testId: test._id, version: { $ne: version } });
+  if (isRankRevealed(test)) await awardTopRankBadges(test, entries);
+
+  return updated;
+}
+
+async function ensureRankSnapshot(test) {
+  const meta = await RankSnapshot.findOne({ testId: test._id }).lean();
+  const fresh = meta?.version && (!meta.staleAt || meta.staleAt < meta.computedAt);
+  if (fresh) return meta;
+
+  const computed = await computeRankSnapshot(test);
+  if (computed) return computed;
+  return meta?.version ? meta : null;
+}
+
+async function markRankSnapshotStale(testId) {
+  const now = new Date();
+  await RankSnapshot.updateOne({ testId }, { $set: { staleAt: now } });
+
+  const test = await Test.findById(testId).select("date series").lean();
+  if (!test) return;
+  await LeaderboardSnapshot.updateMany({ board: { $in: leaderboardBoardsForTest(test) } }, { $set: { staleAt: now } });
+}
+
+function weekRange(day) {
+  const dayStart = new Date(`${day}T00:00:00Z`);
+  const monday = new Date(dayStart.getTime() - ((dayStart.getUTCDay() + 6) % 7) * DAY_MS);
+  return {
+    from: monday.toISOString().split("T")[0],
+    to: new Date(monday.getTime() + 6 * DAY_MS).toISOString().split("T")[0]
+  };
+}
+
+function leaderboardBoardsForTest(test) {
+  const boards = ["all"];
+  if (test.date) boards.push(`week:${weekRange(test.date).from}`, `month:${test.date.slice(0, 7)}`);
+  if (test.series) boards.push(`series:${test.series}`);
+  return boards;
+}
+
+const LEADERBOARD_PERIODS = ["all", "week", "month", "series"];
+
+async function resolveLeaderboardPeriod(query) {
+  const period = query.period || "all";
+  if (!LEADERBOARD_PERIODS.includes(period)) {
+    return { error: `period must be one of ${LEADERBOARD_PERIODS.join(", ")}` };
+  }
+  if (query.date && !/^\d{4}-\d{2}-\d{2}$/.test(query.date)) {
+    return { error: "date must be YYYY-MM-DD" };
+  }
+  const day = query.date || istDateString(new Date());
+
+  if (period === "all") return { period, board: "all" };
+
+  if (period === "week") {
+    const { from, to } = weekRange(day);
+    return { period, board: `week:${from}`, from, to, testFilter: { date: { $gte: from, $lte: to } } };
+  }
+
+  if (period === "month") {
+    const month = day.slice(0, 7);
+    const from = `${month}-01`;
+    const to = `${month}-31`;
+    return { period, board: `month:${month}`, from, to, testFilter: { date: { $gte: from, $lte: to } } };
+  }
+
+  let series = typeof query.series === "string" ? query.series.trim() : "";
+  if (!series) {
+    const latest = await Test.findOne({ testType: "paid", series: { $nin: [null, ""] }, startTime: { $lte: new Date() } })
+      .sort({ startTime: -1 })
+      .select("series")
+      .lean();
+    if (!latest) return { error: "No test series found" };
+    series = latest.series;
+  }
+  return { period, board: `series:${series}`, series, testFilter: { series } };
+}
+
+async function computeGlobalLeaderboard(scope) {
+  const startedAt = new Date();
+  let meta;
+  try {
+    meta = await LeaderboardSnapshot.findOneAndUpdate(
+      {
+        board: scope.board,
+        $or: [{ lockedAt: null }, { lockedAt: { $lt: new Date(startedAt.getTime() - RANK_SNAPSHOT_LOCK_MS) } }]
+      },
+      { $set: { lockedAt: startedAt } },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+
+  const version = (meta.version || 0) + 1;
+  const match = { ...RANKED_RESULT };
+  if (scope.testFilter) {
+    match.testId = { $in: await Test.distinct("_id", { testType: "paid", ...scope.testFilter }) };
+  }
+
+  const standings = await Result.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$userId",
+        totalMarks: { $sum: "$score" },
+        totalCorrect: { $sum: "$correct" },
+        testsGiven: { $sum: 1 }
+      }
+    },
+    { $sort: { totalMarks: -1, totalCorrect: -1, _id: 1 } }
+  ]).allowDiskUse(true);
+
+  const ranks = competitionRanks(standings, e => e.totalMarks);
+  const entries = standings.map((e, idx) => ({
+    board: scope.board,
+    version,
+    userId: e._id,
+    totalMarks: e.totalMarks,
+    totalCorrect: e.totalCorrect,
+    testsGiven: e.testsGiven,
+    position: idx + 1,
+    rank: ranks[idx],
+    percentile: rankPercentile(ranks[idx], standings.length)
+  }));
+  if (entries.length) await LeaderboardEntry.insertMany(entries, { ordered: false });
+
+  const updated = await LeaderboardSnapshot.findOneAndUpdate(
+    { _id: meta._id },
+    {
+      $set: {
+        period: scope.period,
+        from: scope.from,
+        to: scope.to,
+        series: scope.series,
+        version,
+        computedAt: startedAt,
+        total: entries.length,
+        lockedAt: null
+      }
+    },
+    { new: true }
+  ).lean();
+  await LeaderboardEntry.deleteMany({ board: scope.board, version: { $ne: version } });
+
+  return updated;
+}
+
+async function ensureGlobalLeaderboard(scope) {
+  const meta = await LeaderboardSnapshot.findOne({ board: scope.board }).lean();
+  if (meta?.version) return meta;
+
+  const computed = await computeGlobalLeaderboard(scope);
+  if (computed) return computed;
+  return meta?.version ? meta : null;
+}
+
+function leaderboardScopeFromSnapshot(meta) {
+  const scope = { period: meta.period, board: meta.board, from: meta.from, to: meta.to, series: meta.series };
+  if (meta.period === "week" || meta.period === "month") scope.testFilter = { date: { $gte: meta.from, $lte: meta.to } };
+  if (meta.period === "series") scope.testFilter = { series: meta.series };
+  return scope;
+}
+
+async function rebuildStaleLeaderboards() {
+  const stale = await LeaderboardSnapshot.find({ staleAt: { $ne: null }, version: { $ne: null } }).lean();
+  const rebuilt = [];
+  for (const meta of stale.filter(m => !m.computedAt || m.staleAt >= m.computedAt)) {
+    const computed = await computeGlobalLeaderboard(leaderboardScopeFromSnapshot(meta));
+    if (computed) rebuilt.push({ board: computed.board, version: computed.version, total: computed.total });
+  }
+  return rebuilt;
+}
+
+function encodeBoardCursor(position, direction) {
+  return Buffer.from(JSON.stringify({ p: position, d: direction })).toString("base64url");
+}
+
+function decodeBoardCursor(cursor) {
+  try {
+    const { p, d } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (Number.isInteger(p) && p >= 0 && ["next", "prev"].includes(d)) return { p, d };
+  } catch (err) {
+    return null;
+  }
+  return null;
+}
+
+async function pageBoardEntries(Model, filter, total, query, yourEntry) {
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit) || 50));
+  let rows;
+
+  if (query.around === "me") {
+    if (!yourEntry) return { rows: [], nextCursor: null, prevCursor: null, around: null };
+    const radius = Math.min(100, Math.max(1, parseInt(query.radius) || 20));
+    rows = await Model.find({
+      ...filter,
+      position: { $gte: Math.max(1, yourEntry.position - radius), $lte: yourEntry.position + radius }
+    }).sort({ position: 1 }).lean();
+  } else if (query.cursor) {
+    const cursor = decodeBoardCursor(query.cursor);
+    if (!cursor) return { error: "Invalid cursor" };
+    if (cursor.d === "next") {
+      rows = await Model.find({ ...filter, position: { $gt: cursor.p } }).sort({ position: 1 }).limit(limit).lean();
+    } else {
+      rows = (await Model.find({ ...filter, position: { $lt: cursor.p } }).sort({ position: -1 }).limit(limit).lean()).reverse();
+    }
+  } else {
+    rows = await Model.find(filter).sort({ position: 1 }).limit(limit).lean();
+  }
+
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  return {
+    rows,
+    nextCursor: last && last.position < total ? encodeBoardCursor(last.position, "next") : null,
+    prevCursor: first && first.position > 1 ? encodeBoardCursor(first.position, "prev") : null,
+    around: query.around === "me" ? yourEntry.position : undefined
+  };
+}
+
+async function getUserRankEntries(test, userId) {
+  const meta = await ensureRankSnapshot(test);
+  if (!meta) return null;
+  const entries = await RankEntry.find({ testId: test._id, version: meta.version, userId }).lean();
+  const byScope = {};
+  entries.forEach(e => {
+    byScope[e.scope] = e;
+  });
+  return { meta, byScope };
+}
+
+function formatPhaseRank(result, entry) {
+  return {
+    score: Math.round(result.score * 100) / 100,
+    correct: result.correct,
+    incorrect: result.incorrect,
+    unattempted: result.unattempted,
+    rank: entry ? entry.rank : null,
+    percentile: entry ? entry.percentile : null,
+    totalParticipants: entry ? entry.total : null,
+    rankPending: !entry
+  };
+}
+
+function formatCombinedRank(entry, meta) {
+  if (!entry) return null;
+  const combined = {
+    policy: meta.combined?.policy || "summed",
+    score: Math.round(entry.score * 100) / 100,
+    gs: Math.round(entry.gs * 100) / 100,
+    csat: Math.round(entry.csat * 100) / 100,
+    rank: entry.rank,
+    percentile: entry.percentile,
+    totalParticipants: meta.totals?.combined || 0
+  };
+  if (combined.policy === "qualifying") {
+    combined.qualified = entry.qualified;
+    combined.csatThreshold = Math.round(meta.combined.csatThreshold * 100) / 100;
+    combined.csatMaxMarks = meta.combined.csatMaxMarks;
+    combined.qualifyingPercent = meta.combined.qualifyingPercent;
+    combined.qualifiedParticipants = meta.combined.qualifiedParticipants;
+  }
+  return combined;
+}
+
+const SUPPORTED_LANGUAGES = ["en", "hi"];
+
+function resolveLanguage(req) {
+  const requested = String(req.query.lang || "").toLowerCase().split("-")[0];
+  if (SUPPORTED_LANGUAGES.includes(requested)) return requested;
+
+  const header = req.headers["accept-language"] || "";
+  const preferred = header.split(",")
+    .map(part => {
+      const [tag, q] = part.trim().split(";q=");
+      return { lang: tag.toLowerCase().split("-")[0], q: q ? parseFloat(q) : 1 };
+    })
+    .filter(p => SUPPORTED_LANGUAGES.includes(p.lang))
+    .sort((a, b) => b.q - a.q);
+  return preferred[0]?.lang || null;
+}
+
+function localizeQuestion(question, lang, { includeExplanation = false } = {}) {
+  const { translations, explanation, correctOption, acceptedOptions, dropped, ...base } = question;
+  const baseLanguage = question.language || "en";
+  const available = [baseLanguage, ...Object.keys(translations || {}).filter(l => l !== baseLanguage)];
+  const translated = lang && lang !== baseLanguage ? translations?.[lang] : null;
+
+  const localized = {
+    ...base,
+    language: translated ? lang : baseLanguage,
+    availableLanguages: available,
+  };
+  if (translated) {
+    localized.questionStatement = translated.questionStatement || base.questionStatement;
+    localized.options = { ...(base.options || {}) };
+    Object.entries(translated.options || {}).forEach(([key, value]) => {
+      if (value) localized.options[key] = value;
+    });
+  }
+  if (includeExplanation) {
+    localized.explanation = translated?.explanation || explanation || null;
+    if (correctOption !== undefined) localized.correctOption = correctOption;
+    if (acceptedOptions !== undefined) localized.acceptedOptions = acceptedOptions;
+    if (dropped !== undefined) localized.dropped = dropped;
+  }
+  return localized;
+}
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SUBMIT_GRACE_MS = 60 * 1000;
+
+function phaseDurationMs(test, phase) {
+  const minutes = test.durationMinutes?.[phase];
+  if (minutes > 0) return minutes * 60 * 1000;
+  return test.endTime.getTime() - test.startTime.getTime();
+}
+
+function formatAttempt(attempt) {
+  return {
+    attemptId: attempt._id.toString(),
+    phase: attempt.phase,
+    ranked: attempt.ranked,
+    status: attempt.status,
+    startedAt: attempt.startedAt.toISOString(),
+    deadline: attempt.deadline.toISOString(),
+    deadlineIST: new Date(attempt.deadline.getTime() + IST_OFFSET_MS).toISOString(),
+    remainingSeconds: Math.max(0, Math.floor((attempt.deadline.getTime() - Date.now()) / 1000)),
+    savedAnswers: (attempt.draftAnswers || []).map(a => ({
+      questionId: a.questionId,
+      selectedOption: a.selectedOption || null
+    })),
+    draftSavedAt: attempt.draftSavedAt ? attempt.draftSavedAt.toISOString() : null,
+  };
+}
+
+function nowIST() {
+  return new Date(Date.now() + IST_OFFSET_MS);
+}
+
+function istDateString(date) {
+  return new Date(new Date(date).getTime() + IST_OFFSET_MS).toISOString().split("T")[0];
+}
+
+function nonNegativeIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+const RESULT_REVEAL_OFFSET_MS = nonNegativeIntEnv("RESULT_REVEAL_OFFSET_MINUTES", 60) * 60 * 1000;
+
+function resultRevealAt(test) {
+  if (test.resultRevealAt) return new Date(test.resultRevealAt);
+  return new Date(new Date(test.endTime).getTime() + RESULT_REVEAL_OFFSET_MS);
+}
+
+function isRankRevealed(test) {
+  return Date.now() >= resultRevealAt(test).getTime();
+}
+
+function formatISTLabel(date) {
+  return date.toLocaleString("en-IN", {
+    timeZone: "Asia/Kolkata",
+    day: "numeric",
+    month: "short",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true
+  }) + " IST";
+}
+
+const OBJECTION_WINDOW_MS = nonNegativeIntEnv("OBJECTION_WINDOW_HOURS", 48) * 60 * 60 * 1000;
+
+function objectionWindowEndsAt(test) {
+  if (test.objectionWindowEndsAt) return new Date(test.objectionWindowEndsAt);
+  return new Date(new Date(test.endTime).getTime() + OBJECTION_WINDOW_MS);
+}
+
+function answerKeyFields(test) {
+  const isFinal = test.answerKeyStatus === "final";
+  const windowEndsAt = objectionWindowEndsAt(test);
+  return {
+    answerKeyStatus: isFinal ? "final" : "provisional",
+    rankStatus: isFinal ? "final" : "provisional",
+    objectionWindowEndsAt: windowEndsAt.toISOString(),
+    objectionWindowOpen: !isFinal && Date.now() >= new Date(test.endTime).getTime() && Date.now() <= windowEndsAt.getTime(),
+  };
+}
+
+function rankRevealFields(test) {
+  const revealAt = resultRevealAt(test);
+  const { rankStatus } = answerKeyFields(test);
+  return {
+    rankRevealTime: revealAt.toISOString(),
+    rankRevealTimeIST: new Date(revealAt.getTime() + IST_OFFSET_MS).toISOString(),
+    rankRevealLabel: formatISTLabel(revealAt),
+    rankRevealNow: Date.now() >= revealAt.getTime(),
+    rankStatus,
+    rankNote: rankStatus === "provisional"
+      ? "Ranks are provisional until the final answer key is published"
+      : null,
+  };
+}
+
+app.get("/user/analytics/summary", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const uid = req.user.uid;
+
+    const results = await Result.find({ userId: uid, isLate: false }).lean();
+
+    if (results.length === 0) {
+      return res.json({
+        testsGiven: 0,
+        totalCorrect: 0,
+        totalIncorrect: 0,
+        totalUnattempted: 0,
+        totalTimeTakenSeconds: 0,
+        avgPercentage: 0,
+        bestPercentage: 0,
+        currentStreak: 0,
+        longestStreak: 0,
+        quizTypeStats: {},
+      });
+    }
+
+    let totalCorrect = 0;
+    let totalIncorrect = 0;
+    let totalUnattempted = 0;
+    let totalTime = 0;
+    let bestPct = 0;
+    let sumPct = 0;
+
+    const quizTypeStats = {
+      paidDaily:   { count: 0, totalCorrect: 0, totalIncorrect: 0, totalMarks: 0, bestPercentage: 0, avgPercentage: 0, timedCount: 0, totalTimeSeconds: 0, minTimeSeconds: undefined, maxTimeSeconds: undefined },
+      paidPhase1:  { count: 0, totalCorrect: 0, totalIncorrect: 0, totalMarks: 0, bestPercentage: 0, avgPercentage: 0, timedCount: 0, totalTimeSeconds: 0, minTimeSeconds: undefined, maxTimeSeconds: undefined },
+      paidPhase2:  { count: 0, totalCorrect: 0, totalIncorrect: 0, totalMarks: 0, bestPercentage: 0, avgPercentage: 0, timedCount: 0, totalTimeSeconds: 0, minTimeSeconds: undefined, maxTimeSeconds: undefined },
+    };
+
+    results.forEach(r => {
+      totalCorrect += r.correct || 0;
+      totalIncorrect += r.incorrect || 0;
+      totalUnattempted += r.unattempted || 0;
+      const hasServerTime = !!r.attemptId;
+      if (hasServerTime) totalTime += r.timeTakenSeconds || 0;
+
+      const pct = r.totalQuestions > 0 ? (r.correct / r.totalQuestions) * 100 : 0;
+      sumPct += pct;
+      bestPct = Math.max(bestPct, pct);
+
+      let qtKey = 'paidDaily';
+      if (r.phase === 'GS' && r.totalQuestions === 100) qtKey = 'paidPhase1';
+      if (r.phase === 'CSAT') qtKey = 'paidPhase2';
+
+      const qt = quizTypeStats[qtKey];
+      qt.count++;
+      qt.totalCorrect += r.correct || 0;
+      qt.totalIncorrect += r.incorrect || 0;
+      qt.totalMarks += r.score || 0;
+      qt.bestPercentage = Math.max(qt.bestPercentage, pct);
+
+      if (!hasServerTime) return;
+      const timeSec = r.timeTakenSeconds || 0;
+      qt.timedCount++;
+      qt.totalTimeSeconds += timeSec;
+      if (qt.minTimeSeconds === undefined || timeSec < qt.minTimeSeconds) qt.minTimeSeconds = timeSec;
+      if (qt.maxTimeSeconds === undefined || timeSec > qt.maxTimeSeconds) qt.maxTimeSeconds = timeSec;
+    });
+
+    Object.values(quizTypeStats).forEach(qt => {
+      if (qt.count > 0) {
+        qt.avgPercentage = (qt.totalCorrect / (qt.totalCorrect + qt.totalIncorrect)) * 100 || 0;
+        qt.avgTimeSeconds = qt.timedCount > 0 ? qt.totalTimeSeconds / qt.timedCount : 0;
+        qt.avgTimeMinutes = Math.floor(qt.avgTimeSeconds / 60);
+        qt.avgTimeSecs = Math.round(qt.avgTimeSeconds % 60);
+      }
+    });
+
+    const testsGiven = results.length;
+    const avgPercentage = testsGiven > 0 ? sumPct / testsGiven : 0;
+
+    const engagement = await ensureEngagement(uid);
+    const { currentStreak, longestStreak } = streakStatus(engagement, istDateString(new Date()));
+
+    res.json({
       testsGiven,
       totalCorrect,
       totalIncorrect,
@@ -277,784 +1815,4372 @@ app.get("/user/analytics/summary", userAuth, async (req, res) => {
       quizTypeStats,
     });
   } catch (err) {
-    console.error("/user/analytics/summary error:", err.message);
-    res.status(500).json({ message: "Failed to fetch analytics summary" });
+    console.error("/user/analytics/summary error:", err.message);
+    res.status(500).json({ message: "Failed to fetch analytics summary" });
+  }
+});
+
+const TOPIC_GROUP_LEVELS = ["subject", "topic", "subtopic"];
+
+function topicKey(question, groupBy) {
+  const levels = TOPIC_GROUP_LEVELS.slice(0, TOPIC_GROUP_LEVELS.indexOf(groupBy) + 1);
+  return levels.map(level => question[level] || "Untagged");
+}
+
+function trendDirection(points) {
+  const withAttempts = points.filter(p => p.attempted > 0);
+  if (withAttempts.length < 2) return "insufficient_data";
+  const mid = Math.floor(withAttempts.length / 2);
+  const accuracyOf = list => {
+    const attempted = list.reduce((sum, p) => sum + p.attempted, 0);
+    const correct = list.reduce((sum, p) => sum + p.correct, 0);
+    return attempted > 0 ? (correct / attempted) * 100 : 0;
+  };
+  const delta = accuracyOf(withAttempts.slice(mid)) - accuracyOf(withAttempts.slice(0, mid));
+  if (delta >= 5) return "improving";
+  if (delta <= -5) return "declining";
+  return "steady";
+}
+
+app.get("/user/analytics/topics", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const uid = req.user.uid;
+    const groupBy = req.query.groupBy || "topic";
+    if (!TOPIC_GROUP_LEVELS.includes(groupBy)) {
+      return res.status(400).json({ message: "groupBy must be 'subject', 'topic' or 'subtopic'" });
+    }
+    const minAttempted = parseInt(req.query.minAttempted) || 5;
+
+    const results = await Result.find({ userId: uid, isLate: false })
+      .select("testId phase answers markingScheme submittedAt")
+      .sort({ submittedAt: 1 })
+      .lean();
+
+    if (results.length === 0) {
+      return res.json({ groupBy, testsAnalysed: 0, topics: [], weakTopics: [] });
+    }
+
+    const tests = await Test.find({ _id: { $in: results.map(r => r.testId) } })
+      .select("isSundayFullTest")
+      .lean();
+    const sundayTests = new Set(tests.filter(t => t.isSundayFullTest).map(t => t._id.toString()));
+
+    const questions = await Question.find({ testId: { $in: results.map(r => r.testId) } })
+      .select("testId phase correctOption acceptedOptions dropped marking subject topic subtopic")
+      .lean();
+    const questionsByTest = new Map();
+    questions.forEach(q => {
+      const key = q.testId.toString();
+      if (!questionsByTest.has(key)) questionsByTest.set(key, []);
+      questionsByTest.get(key).push(q);
+    });
+
+    const buckets = new Map();
+
+    results.forEach(r => {
+      const testKey = r.testId.toString();
+      const testQuestions = (questionsByTest.get(testKey) || [])
+        .filter(q => q.dropped?.mode !== "remove" && (!sundayTests.has(testKey) || q.phase === r.phase));
+      const answerMap = new Map((r.answers || []).map(a => [a.questionId, a]));
+      const scheme = r.markingScheme || DEFAULT_MARKING_SCHEMES.paid;
+      const date = istDateString(r.submittedAt);
+
+      testQuestions.forEach(q => {
+        const path = topicKey(q, groupBy);
+        const key = path.join(" > ");
+        if (!buckets.has(key)) {
+          buckets.set(key, {
+            path,
+            questions: 0,
+            attempted: 0,
+            correct: 0,
+            incorrect: 0,
+            negativeMarksLost: 0,
+            netMarks: 0,
+            trend: new Map()
+          });
+        }
+        const bucket = buckets.get(key);
+        if (!bucket.trend.has(date)) bucket.trend.set(date, { date, questions: 0, attempted: 0, correct: 0 });
+        const point = bucket.trend.get(date);
+
+        bucket.questions++;
+        point.questions++;
+
+        const ans = answerMap.get(q._id.toString());
+        if (!ans || !ans.selectedOption) return;
+
+        bucket.attempted++;
+        point.attempted++;
+        const isCorrect = answerCredited(q, ans.selectedOption);
+        const marks = ans.marks ?? questionMarks(q, scheme, isCorrect);
+        bucket.netMarks += marks;
+        if (isCorrect) {
+          bucket.correct++;
+          point.correct++;
+        } else {
+          bucket.incorrect++;
+          bucket.negativeMarksLost += Math.abs(marks);
+        }
+      });
+    });
+
+    const topics = [...buckets.values()].map(b => {
+      const trend = [...b.trend.values()].map(p => ({
+        ...p,
+        accuracy: p.attempted > 0 ? Math.round((p.correct / p.attempted) * 1000) / 10 : null
+      }));
+      const entry = {
+        questions: b.questions,
+        attempted: b.attempted,
+        correct: b.correct,
+        incorrect: b.incorrect,
+        unattempted: b.questions - b.attempted,
+        accuracy: b.attempted > 0 ? Math.round((b.correct / b.attempted) * 1000) / 10 : 0,
+        attemptRate: b.questions > 0 ? Math.round((b.attempted / b.questions) * 1000) / 10 : 0,
+        negativeMarksLost: Math.round(b.negativeMarksLost * 100) / 100,
+        netMarks: Math.round(b.netMarks * 100) / 100,
+        trendDirection: trendDirection(trend),
+        trend,
+      };
+      TOPIC_GROUP_LEVELS.slice(0, b.path.length).forEach((level, idx) => {
+        entry[level] = b.path[idx];
+      });
+      return entry;
+    }).sort((a, b) => a.accuracy - b.accuracy);
+
+    const weakTopics = topics
+      .filter(t => t.attempted >= minAttempted && t.subject !== "Untagged")
+      .slice(0, 5)
+      .map(t => ({
+        subject: t.subject,
+        topic: t.topic,
+        subtopic: t.subtopic,
+        accuracy: t.accuracy,
+        negativeMarksLost: t.negativeMarksLost
+      }));
+
+    res.json({
+      groupBy,
+      testsAnalysed: results.length,
+      topics,
+      weakTopics,
+    });
+  } catch (err) {
+    console.error("/user/analytics/topics error:", err.message);
+    res.status(500).json({ message: "Failed to fetch topic analytics" });
+  }
+});
+
+app.get("/user/analytics/attempts", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const uid = req.user.uid;
+    const limit = parseInt(req.query.limit) || 30;
+
+    const attempts = await Result.find({ userId: uid, isLate: false })
+      .sort({ submittedAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json(attempts.map(a => ({
+      _id: a._id.toString(),
+      testId: a.testId.toString(),
+      testTitle: a.testTitle || `Test ${a.testId.toString().substring(0, 8)}`,
+      phase: a.phase,
+      score: a.score,
+      correct: a.correct,
+      incorrect: a.incorrect,
+      unattempted: a.unattempted,
+      totalQuestions: a.totalQuestions,
+      submittedAt: a.submittedAt.toISOString(),
+      timeTakenSeconds: a.timeTakenSeconds || 0,
+    })));
+  } catch (err) {
+    console.error("/user/analytics/attempts error:", err.message);
+    res.status(500).json({ message: "Failed to fetch attempts" });
+  }
+});
+
+app.get("/", async (req, res) => {
+  try {
+    await connectDB();
+    const today = new Date().toISOString().split("T")[0];
+    res.json({
+      status: "User Backend Running",
+      firebaseReady: firebaseInitialized,
+      mongoReady: mongoose.connection.readyState === 1 ? "connected" : "not connected",
+      currentServerDateUTC: today,
+    });
+  } catch (err) {
+    res.status(500).json({ status: "Error", error: err.message });
+  }
+});
+
+app.get("/user/today-test", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const now = new Date();
+    const istNow = nowIST();
+    const todayIST = istNow.toISOString().split("T")[0];
+
+    const test = await Test.findOne({ date: todayIST, testType: "paid" });
+    if (!test) {
+      return res.status(404).json({ message: "No paid test available today" });
+    }
+
+    const startIST = new Date(test.startTime.getTime() + IST_OFFSET_MS);
+    const endIST   = new Date(test.endTime.getTime() + IST_OFFSET_MS);
+
+    await autoSubmitExpiredAttempts({ userId: req.user.uid, testId: test._id });
+
+    const existingPhases = ["GS"];
+    if (test.isSundayFullTest) existingPhases.push("CSAT");
+
+    const userResults = await Result.find({
+      userId: req.user.uid,
+      testId: test._id,
+      phase: { $in: existingPhases },
+      isLate: false
+    }).lean();
+
+    const submittedPhases = userResults.map(r => r.phase);
+    const hasSubmitted = submittedPhases.length > 0;
+
+    if (istNow < startIST) {
+      return res.json({
+        status: "not_started",
+        title: test.title,
+        startTimeIST: startIST.toISOString(),
+        endTimeIST: endIST.toISOString(),
+        testId: test._id.toString(),
+        totalQuestions: test.totalQuestions,
+        isSundayFullTest: !!test.isSundayFullTest,
+        hasSubmitted: false,
+        submittedPhases: [],
+        message: "Test has not started yet"
+      });
+    }
+
+    if (istNow > endIST) {
+      return res.json({
+        status: "archived",
+        title: test.title,
+        endTimeIST: endIST.toISOString(),
+        startTimeIST: startIST.toISOString(),
+        testId: test._id.toString(),
+        totalQuestions: test.totalQuestions,
+        isSundayFullTest: !!test.isSundayFullTest,
+        hasSubmitted,
+        submittedPhases,
+        canReview: hasSubmitted,
+        message: "Today's test has ended and is now archived."
+      });
+    }
+
+    const entitlement = await findActiveEntitlement(req.user.uid, "paid_tests");
+    if (!entitlement) {
+      const { status, body } = await entitlementRequiredResponse(req.user.uid, "paid_tests");
+      return res.status(status).json({
+        ...body,
+        testId: test._id.toString(),
+        title: test.title,
+        startTimeIST: startIST.toISOString(),
+        endTimeIST: endIST.toISOString(),
+      });
+    }
+
+    const lang = resolveLanguage(req);
+    const questions = (await Question.find({ testId: test._id })
+      .select("-correctOption")
+      .sort({ questionNumber: 1 })
+      .lean()).map(q => localizeQuestion(q, lang));
+
+    const openAttempts = await Attempt.find({
+      userId: req.user.uid,
+      testId: test._id,
+      ranked: true,
+      status: "in_progress"
+    }).lean();
+
+    const attempts = {};
+    openAttempts.forEach(a => {
+      attempts[a.phase] = formatAttempt(a);
+    });
+
+    const response = {
+      status: "active",
+      testId: test._id.toString(),
+      title: test.title,
+      totalQuestions: test.totalQuestions,
+      startTimeIST: startIST.toISOString(),
+      endTimeIST: endIST.toISOString(),
+      isSundayFullTest: !!test.isSundayFullTest,
+      hasSubmitted,
+      submittedPhases,
+      attempts,
+    };
+
+    const flags = layoutFlags(test);
+    const forPhase = (phaseQuestions, phase) =>
+      applyLayout(phaseQuestions, questionLayout(flags, req.user.uid, test._id, phase, phaseQuestions));
+    response.shuffled = flags;
+
+    if (test.isSundayFullTest) {
+      const gs   = forPhase(questions.filter(q => q.phase === "GS"), "GS");
+      const csat = forPhase(questions.filter(q => q.phase === "CSAT"), "CSAT");
+      response.phases = {
+        GS:   { count: gs.length,   questions: gs   },
+        CSAT: { count: csat.length, questions: csat },
+      };
+    } else {
+      response.questions = forPhase(questions, "GS");
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error("/user/today-test error:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.get("/user/submission-status/:testId", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const test = await Test.findById(req.params.testId);
+    if (!test) return res.status(404).json({ message: "Test not found" });
+
+    await autoSubmitExpiredAttempts({ userId: req.user.uid, testId: test._id });
+
+    const phases = test.isSundayFullTest ? ["GS", "CSAT"] : ["GS"];
+
+    const userResults = await Result.find({
+      userId: req.user.uid,
+      testId: test._id,
+      phase: { $in: phases },
+      isLate: false
+    }).lean();
+
+    const submittedPhases = userResults.map(r => r.phase);
+    const hasSubmitted = submittedPhases.length > 0;
+    const reveal = rankRevealFields(test);
+    const rankRevealNow = reveal.rankRevealNow;
+
+    const response = {
+      hasSubmitted,
+      submittedPhases,
+      ...reveal,
+    };
+
+    if (hasSubmitted && rankRevealNow) {
+      const snapshot = await getUserRankEntries(test, req.user.uid);
+      if (!snapshot) {
+        response.rankPending = true;
+      } else {
+        const rankData = {};
+        for (const r of userResults) {
+          rankData[r.phase] = formatPhaseRank(r, snapshot.byScope[r.phase]);
+        }
+        response.rankData = rankData;
+
+        if (test.isSundayFullTest && userResults.length === 2) {
+          response.combinedRank = formatCombinedRank(snapshot.byScope.combined, snapshot.meta);
+        }
+      }
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error("/user/submission-status error:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.get("/user/overall-rank", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const uid = req.user.uid;
+
+    const userResults = await Result.find({ userId: uid, isLate: false }).lean();
+
+    if (userResults.length === 0) {
+      return res.json({
+        hasRank: false,
+        message: "Complete at least one paid test to see your overall rank.",
+        totalMarks: 0,
+        totalCorrect: 0,
+        testsGiven: 0,
+      });
+    }
+
+    let totalMarks = 0;
+    let totalCorrect = 0;
+    let testsGiven = userResults.length;
+
+    userResults.forEach(r => {
+      totalMarks += r.score || 0;
+      totalCorrect += r.correct || 0;
+    });
+
+    const board = await ensureGlobalLeaderboard({ period: "all", board: "all" });
+    const entry = board
+      ? await LeaderboardEntry.findOne({ board: board.board, version: board.version, userId: uid }).lean()
+      : null;
+
+    res.json({
+      hasRank: true,
+      rank: entry ? entry.rank : null,
+      totalMarks: Math.round(totalMarks * 100) / 100,
+      totalCorrect,
+      testsGiven,
+      totalParticipants: board ? board.total : null,
+      percentile: entry ? entry.percentile : null,
+      rankPending: !entry,
+      message: entry
+        ? `Your overall rank among all participants`
+        : "Your overall rank is being updated, check back in a moment."
+    });
+  } catch (err) {
+    console.error("/user/overall-rank error:", err.message);
+    res.status(500).json({ message: "Failed to calculate overall rank" });
+  }
+});
+
+app.get("/leaderboard/global", optionalUserAuth, async (req, res) => {
+  try {
+    await connectDB();
+    if (req.query.around === "me" && !req.user) {
+      return res.status(401).json({ message: "Sign in to see the leaderboard around you" });
+    }
+
+    const scope = await resolveLeaderboardPeriod(req.query);
+    if (scope.error) return res.status(400).json({ message: scope.error });
+
+    const board = await ensureGlobalLeaderboard(scope);
+    if (!board) {
+      return res.json({
+        period: scope.period,
+        leaderboard: [],
+        totalParticipants: 0,
+        pending: true,
+        message: "Leaderboard is being updated, check back in a moment."
+      });
+    }
+
+    const filter = { board: board.board, version: board.version };
+    const you = req.user ? await LeaderboardEntry.findOne({ ...filter, userId: req.user.uid }).lean() : null;
+    const page = await pageBoardEntries(LeaderboardEntry, filter, board.total, req.query, you);
+    if (page.error) return res.status(400).json({ message: page.error });
+
+    res.json({
+      period: board.period || scope.period,
+      from: board.from || null,
+      to: board.to || null,
+      series: board.series || null,
+      computedAt: board.computedAt,
+      leaderboard: await withPublicProfiles(page.rows.map(e => ({
+        rank: e.rank,
+        userId: e.userId,
+        totalMarks: Math.round(e.totalMarks * 100) / 100,
+        totalCorrect: e.totalCorrect,
+        testsGiven: e.testsGiven
+      })), req.user?.uid),
+      you: you
+        ? { rank: you.rank, percentile: you.percentile, totalMarks: Math.round(you.totalMarks * 100) / 100, testsGiven: you.testsGiven }
+        : null,
+      totalParticipants: board.total,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+      ...(req.query.around === "me" && !you ? { message: "You are not on this leaderboard yet" } : {})
+    });
+  } catch (err) {
+    console.error("/leaderboard/global error:", err.message);
+    res.status(500).json({ message: "Failed to fetch global leaderboard" });
+  }
+});
+
+app.post("/user/start-test/:testId", userAuth, requireEntitlement("paid_tests"), async (req, res) => {
+  try {
+    await connectDB();
+
+    const { phase, mode = "ranked" } = req.body;
+    if (!["GS", "CSAT"].includes(phase)) {
+      return res.status(400).json({ message: "phase must be 'GS' or 'CSAT'" });
+    }
+    if (!["ranked", "practice"].includes(mode)) {
+      return res.status(400).json({ message: "mode must be 'ranked' or 'practice'" });
+    }
+
+    const test = await Test.findById(req.params.testId);
+    if (!test || test.testType !== "paid") {
+      return res.status(404).json({ message: "Paid test not found" });
+    }
+    if (phase === "CSAT" && !test.isSundayFullTest) {
+      return res.status(400).json({ message: "CSAT phase is only available in Sunday full tests" });
+    }
+
+    const now = new Date();
+    if (now < test.startTime) {
+      return res.status(403).json({ message: "Test has not started yet" });
+    }
+
+    const durationMs = phaseDurationMs(test, phase);
+    const ranked = now <= test.endTime;
+
+    if (ranked && mode === "practice") {
+      return res.status(400).json({ message: "Practice mode is available once the test window closes" });
+    }
+    if (!ranked && mode !== "practice") {
+      return res.status(409).json({
+        message: "Test window closed. Start again with mode 'practice' to reattempt without ranking.",
+        practiceAvailable: true
+      });
+    }
+
+    if (ranked) {
+      const existingResult = await Result.exists({
+        userId: req.user.uid,
+        testId: test._id,
+        phase,
+        isLate: false
+      });
+      if (existingResult) {
+        return res.status(403).json({
+          message: `You have already submitted ${phase} phase. You can only preview your attempt.`,
+          alreadySubmitted: true
+        });
+      }
+
+      const deadline = new Date(Math.min(now.getTime() + durationMs, test.endTime.getTime()));
+      const rankedFilter = { userId: req.user.uid, testId: test._id, phase, ranked: true };
+      let attempt;
+      try {
+        attempt = await Attempt.findOneAndUpdate(
+          rankedFilter,
+          { $setOnInsert: { startedAt: now, deadline, status: "in_progress" } },
+          { upsert: true, new: true }
+        );
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        attempt = await Attempt.findOne(rankedFilter);
+      }
+
+      if (attempt.status === "submitted") {
+        return res.status(403).json({
+          message: `Your ranked ${phase} attempt has already been submitted.`,
+          alreadySubmitted: true
+        });
+      }
+
+      return res.json({
+        ...formatAttempt(attempt),
+        resumed: attempt.startedAt.getTime() !== now.getTime(),
+        message: "Attempt started. Submit before the deadline to be ranked."
+      });
+    }
+
+    let attempt = await Attempt.findOne({
+      userId: req.user.uid,
+      testId: test._id,
+      phase,
+      ranked: false,
+      status: "in_progress",
+      deadline: { $gt: now }
+    });
+    const resumed = !!attempt;
+    if (!attempt) {
+      attempt = await Attempt.create({
+        userId: req.user.uid,
+        testId: test._id,
+        phase,
+        startedAt: now,
+        deadline: new Date(now.getTime() + durationMs),
+        ranked: false
+      });
+    }
+
+    res.json({
+      ...formatAttempt(attempt),
+      resumed,
+      message: "Practice attempt started. It will not be ranked."
+    });
+  } catch (err) {
+    console.error("/user/start-test error:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.post("/user/draft/:testId", userAuth, requireEntitlement("paid_tests"), async (req, res) => {
+  try {
+    await connectDB();
+
+    const { phase, answers } = req.body;
+    if (!["GS", "CSAT"].includes(phase)) {
+      return res.status(400).json({ message: "phase must be 'GS' or 'CSAT'" });
+    }
+    if (!Array.isArray(answers) || answers.some(a => !a || typeof a.questionId !== "string")) {
+      return res.status(400).json({ message: "answers must be an array of { questionId, selectedOption }" });
+    }
+
+    const test = await Test.findById(req.params.testId);
+    if (!test || test.testType !== "paid") {
+      return res.status(404).json({ message: "Paid test not found" });
+    }
+
+    const now = new Date();
+    const attempt = await Attempt.findOne({
+      userId: req.user.uid,
+      testId: test._id,
+      phase,
+      status: "in_progress"
+    }).sort({ startedAt: -1 });
+    if (!attempt) {
+      return res.status(409).json({
+        message: `No open ${phase} attempt. Start the test before saving answers.`,
+        attemptRequired: true
+      });
+    }
+    if (now.getTime() > attempt.deadline.getTime() + SUBMIT_GRACE_MS) {
+      return res.status(403).json({ message: "Time is up for this attempt. Answers can no longer be saved." });
+    }
+
+    const questionIds = await Question.distinct("_id", phaseQuestionFilter(test, phase))
+      .then(ids => new Set(ids.map(id => id.toString())));
+
+    const incoming = new Map();
+    let ignored = 0;
+    answers.forEach(a => {
+      if (!questionIds.has(a.questionId)) {
+        ignored++;
+        return;
+      }
+      incoming.set(a.questionId, a.selectedOption ? String(a.selectedOption) : null);
+    });
+
+    const changed = [...incoming.entries()].map(([questionId, selectedOption]) => ({ questionId, selectedOption }));
+    const updated = await Attempt.findOneAndUpdate(
+      { _id: attempt._id, status: "in_progress" },
+      [{
+        $set: {
+          draftAnswers: {
+            $concatArrays: [
+              {
+                $filter: {
+                  input: { $ifNull: ["$draftAnswers", []] },
+                  cond: { $not: [{ $in: ["$$this.questionId", { $literal: [...incoming.keys()] }] }] }
+                }
+              },
+              { $literal: changed }
+            ]
+          },
+          draftSavedAt: now
+        }
+      }],
+      { new: true, updatePipeline: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ message: "This attempt has already been submitted." });
+    }
+
+    res.json({
+      attemptId: updated._id.toString(),
+      phase,
+      savedCount: updated.draftAnswers.filter(a => a.selectedOption).length,
+      ignored,
+      draftSavedAt: now.toISOString(),
+      remainingSeconds: formatAttempt(updated).remainingSeconds
+    });
+  } catch (err) {
+    console.error("/user/draft save error:", err.message);
+    res.status(500).json({ message: "Failed to save draft" });
+  }
+});
+
+app.get("/user/draft/:testId", userAuth, requireEntitlement("paid_tests"), async (req, res) => {
+  try {
+    await connectDB();
+
+    const phase = req.query.phase || "GS";
+    if (!["GS", "CSAT"].includes(phase)) {
+      return res.status(400).json({ message: "phase must be 'GS' or 'CSAT'" });
+    }
+
+    const attempt = await Attempt.findOne({
+      userId: req.user.uid,
+      testId: req.params.testId,
+      phase,
+      status: "in_progress"
+    }).sort({ startedAt: -1 }).lean();
+    if (!attempt) {
+      return res.status(404).json({ message: `No open ${phase} attempt found` });
+    }
+
+    res.json(formatAttempt(attempt));
+  } catch (err) {
+    console.error("/user/draft fetch error:", err.message);
+    res.status(500).json({ message: "Failed to fetch draft" });
+  }
+});
+
+app.get("/cron/auto-submit", cronAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const summary = await autoSubmitExpiredAttempts();
+    res.json({ success: true, ...summary });
+  } catch (err) {
+    console.error("/cron/auto-submit error:", err.message);
+    res.status(500).json({ message: "Auto-submit failed" });
+  }
+});
+
+async function finalizeElapsedAnswerKeys(now) {
+  const candidates = await Test.find({ answerKeyStatus: { $ne: "final" }, endTime: { $lte: now } })
+    .select("_id endTime objectionWindowEndsAt")
+    .lean();
+  const finalized = [];
+  for (const t of candidates) {
+    if (objectionWindowEndsAt(t) > now) continue;
+    const [openObjection, pendingRegrade] = await Promise.all([
+      Objection.exists({ testId: t._id, status: "open" }),
+      Regrade.exists({ testId: t._id, status: { $in: ["queued", "running"] } })
+    ]);
+    if (openObjection || pendingRegrade) continue;
+    const updated = await Test.findOneAndUpdate(
+      { _id: t._id, answerKeyStatus: { $ne: "final" } },
+      { $set: { answerKeyStatus: "final", answerKeyFinalizedAt: now } }
+    );
+    if (!updated) continue;
+    await markRankSnapshotStale(t._id);
+    finalized.push(t._id.toString());
+  }
+  return finalized;
+}
+
+app.get("/cron/rank-snapshots", cronAuth, async (req, res) => {
+  try {
+    await connectDB();
+
+    const testIds = new Set();
+    const now = new Date();
+    const answerKeysFinalized = await finalizeElapsedAnswerKeys(now);
+    const recent = await Test.find({
+      testType: "paid",
+      endTime: { $lte: now, $gte: new Date(now.getTime() - 2 * 24 * 60 * 60 * 1000) }
+    }).select("_id endTime resultRevealAt").lean();
+    const snapshotted = await RankSnapshot.find({
+      testId: { $in: recent.map(t => t._id) },
+      version: { $ne: null }
+    }).distinct("testId").then(ids => new Set(ids.map(id => id.toString())));
+    recent
+      .filter(t => isRankRevealed(t) && !snapshotted.has(t._id.toString()))
+      .forEach(t => testIds.add(t._id.toString()));
+    const stale = await RankSnapshot.find({ staleAt: { $ne: null } }).select("testId staleAt computedAt").lean();
+    stale
+      .filter(m => !m.computedAt || m.staleAt >= m.computedAt)
+      .forEach(m => testIds.add(m.testId.toString()));
+
+    const computed = [];
+    for (const testId of testIds) {
+      const test = await Test.findById(testId).lean();
+      if (!test) continue;
+      const meta = await ensureRankSnapshot(test);
+      if (meta) computed.push({ testId, version: meta.version, totals: meta.totals });
+    }
+
+    const leaderboards = await rebuildStaleLeaderboards();
+
+    res.json({ success: true, computed, leaderboards, answerKeysFinalized });
+  } catch (err) {
+    console.error("/cron/rank-snapshots error:", err.message);
+    res.status(500).json({ message: "Rank snapshot job failed" });
+  }
+});
+
+app.post("/user/submit-test/:testId", userAuth, requireEntitlement("paid_tests"), async (req, res) => {
+  try {
+    await connectDB();
+
+    const { phase, answers } = req.body;
+
+    if (!["GS", "CSAT"].includes(phase)) {
+      return res.status(400).json({ message: "phase must be 'GS' or 'CSAT'" });
+    }
+    if (!Array.isArray(answers)) {
+      return res.status(400).json({ message: "answers must be an array of objects" });
+    }
+
+    const test = await Test.findById(req.params.testId);
+    if (!test || test.testType !== "paid") {
+      return res.status(404).json({ message: "Paid test not found" });
+    }
+
+    const now = new Date();
+
+    const attempt = await Attempt.findOne({
+      userId: req.user.uid,
+      testId: test._id,
+      phase,
+      status: "in_progress"
+    }).sort({ startedAt: -1 });
+    if (!attempt) {
+      return res.status(409).json({
+        message: `No open ${phase} attempt. Start the test before submitting.`,
+        attemptRequired: true
+      });
+    }
+
+    if (attempt.ranked) {
+      const existing = await Result.exists({
+        userId: req.user.uid,
+        testId: test._id,
+        phase,
+        isLate: false
+      });
+      if (existing) {
+        return res.status(403).json({
+          message: `You have already submitted ${phase} phase. You can only preview your attempt.`,
+          alreadySubmitted: true
+        });
+      }
+    }
+
+    const questions = await Question.find(phaseQuestionFilter(test, phase)).lean();
+    if (questions.length === 0) {
+      return res.status(404).json({ message: "No questions found for this phase" });
+    }
+
+    const submittedFromDraft = attempt.ranked
+      && attempt.draftAnswers?.length > 0
+      && now.getTime() > attempt.deadline.getTime() + SUBMIT_GRACE_MS;
+    const submission = submittedFromDraft
+      ? await submitAttempt(attempt, test, questions, attempt.draftAnswers, attempt.deadline)
+      : await submitAttempt(attempt, test, questions, answers, now);
+    if (!submission) {
+      return res.status(409).json({ message: "This attempt has already been submitted." });
+    }
+
+    const { score, correct, incorrect, unattempted, isLate, isOverTime, timeTakenSeconds } = submission.result;
+    const newBadges = ACHIEVEMENTS.filter(a => submission.badges.includes(a.key)).map(a => ({ key: a.key, title: a.title }));
+
+    const reveal = rankRevealFields(test);
+    const rankRevealNow = reveal.rankRevealNow;
+
+    const responseBase = {
+      attemptId: attempt._id.toString(),
+      phase,
+      score: Math.round(score * 100) / 100,
+      correct,
+      incorrect,
+      unattempted,
+      totalQuestions: questions.length,
+      timeTakenSeconds,
+      isLate,
+      isOverTime,
+      ranked: !isLate,
+      submittedFromDraft,
+      newBadges,
+      ...reveal,
+    };
+
+    if (isOverTime) {
+      return res.json({
+        ...responseBase,
+        message: "Submitted after your time limit. Attempt saved for review only (no ranking)."
+      });
+    }
+
+    if (isLate) {
+      return res.json({
+        ...responseBase,
+        message: "Test window closed. Attempt saved for practice only (no ranking)."
+      });
+    }
+
+    if (!rankRevealNow) {
+      return res.json({
+        ...responseBase,
+        message: submittedFromDraft
+          ? `Your time ran out, so the answers you saved before the deadline were submitted. Your rank will be available at ${reveal.rankRevealLabel}.`
+          : `Test submitted successfully! Your rank will be available at ${reveal.rankRevealLabel}.`,
+      });
+    }
+
+    const snapshot = await getUserRankEntries(test, req.user.uid);
+    const entry = snapshot?.byScope[phase];
+    if (!entry) {
+      responseBase.rankPending = true;
+      responseBase.message = "Test submitted! Ranks are being updated, check back in a moment.";
+      return res.json(responseBase);
+    }
+
+    responseBase.rank = entry.rank;
+    responseBase.percentile = entry.percentile;
+    responseBase.totalRankedParticipants = entry.total;
+    responseBase.message = "Test submitted! Here is your rank.";
+
+    if (test.isSundayFullTest) {
+      const combined = formatCombinedRank(snapshot.byScope.combined, snapshot.meta);
+      if (combined) responseBase.combined = combined;
+    }
+
+    res.json(responseBase);
+  } catch (err) {
+    console.error("/user/submit-test error:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.get("/user/my-rank/:testId", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const test = await Test.findById(req.params.testId);
+    if (!test) return res.status(404).json({ message: "Test not found" });
+
+    const phases = test.isSundayFullTest ? ["GS", "CSAT"] : ["GS"];
+
+    const userResults = await Result.find({
+      userId: req.user.uid,
+      testId: test._id,
+      phase: { $in: phases },
+      isLate: false
+    }).lean();
+
+    if (userResults.length === 0) {
+      return res.status(404).json({ message: "No on-time ranked attempt found" });
+    }
+
+    const reveal = rankRevealFields(test);
+
+    if (!reveal.rankRevealNow) {
+      return res.json({
+        ...reveal,
+        message: `Ranks will be revealed at ${reveal.rankRevealLabel}. Come back then!`,
+        hasSubmitted: true,
+      });
+    }
+
+    const snapshot = await getUserRankEntries(test, req.user.uid);
+    if (!snapshot) {
+      return res.json({
+        ...reveal,
+        rankPending: true,
+        hasSubmitted: true,
+        message: "Ranks are being computed. Please check back in a moment."
+      });
+    }
+
+    const response = { phases: {}, ...reveal };
+
+    for (const r of userResults) {
+      response.phases[r.phase] = formatPhaseRank(r, snapshot.byScope[r.phase]);
+    }
+
+    if (test.isSundayFullTest && userResults.length === 2) {
+      response.combined = formatCombinedRank(snapshot.byScope.combined, snapshot.meta);
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error("/user/my-rank error:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+function formatBoardEntry(scope, e) {
+  if (scope === "combined") {
+    return {
+      rank: e.rank,
+      userId: e.userId,
+      score: Math.round(e.score * 100) / 100,
+      totalScore: Math.round((e.gs + e.csat) * 100) / 100,
+      gs: Math.round(e.gs * 100) / 100,
+      csat: Math.round(e.csat * 100) / 100
+    };
+  }
+  return {
+    rank: e.rank,
+    userId: e.userId,
+    score: Math.round(e.score * 100) / 100,
+    submittedAt: e.submittedAt
+  };
+}
+
+async function testBoardPage(test, meta, scope, query, viewerUid) {
+  const filter = { testId: test._id, version: meta.version, scope, rank: { $ne: null } };
+  const total = scope === "combined"
+    ? (meta.combined?.qualifiedParticipants ?? meta.totals?.combined ?? 0)
+    : (meta.totals?.[scope] || 0);
+  const yourEntry = await RankEntry.findOne({ testId: test._id, version: meta.version, scope, userId: viewerUid }).lean();
+  const page = await pageBoardEntries(RankEntry, filter, total, query, yourEntry?.rank ? yourEntry : null);
+  if (page.error) return page;
+
+  return {
+    leaderboard: await withPublicProfiles(page.rows.map(e => formatBoardEntry(scope, e)), viewerUid),
+    total,
+    you: scope === "combined"
+      ? formatCombinedRank(yourEntry, meta)
+      : yourEntry ? { rank: yourEntry.rank, percentile: yourEntry.percentile, score: Math.round(yourEntry.score * 100) / 100 } : null,
+    nextCursor: page.nextCursor,
+    prevCursor: page.prevCursor
+  };
+}
+
+app.get("/user/leaderboard/:testId", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const test = await Test.findById(req.params.testId);
+    if (!test) return res.status(404).json({ message: "Test not found" });
+
+    const scopes = test.isSundayFullTest ? ["GS", "CSAT", "combined"] : ["GS"];
+    const { scope } = req.query;
+    if (scope && !scopes.includes(scope)) {
+      return res.status(400).json({ message: `scope must be one of ${scopes.join(", ")}` });
+    }
+
+    const rankStatus = answerKeyFields(test).rankStatus;
+    if (!isRankRevealed(test)) {
+      const reveal = rankRevealFields(test);
+      return res.json({
+        ...reveal,
+        rankPending: true,
+        message: `Leaderboard will be available at ${reveal.rankRevealLabel}.`
+      });
+    }
+
+    const meta = await ensureRankSnapshot(test);
+    if (!meta) {
+      return res.json({
+        rankStatus,
+        rankPending: true,
+        message: "Leaderboard is being updated, check back in a moment."
+      });
+    }
+
+    if (scope) {
+      const board = await testBoardPage(test, meta, scope, req.query, req.user.uid);
+      if (board.error) return res.status(400).json({ message: board.error });
+      return res.json({ scope, rankStatus, computedAt: meta.computedAt, ...board });
+    }
+
+    if (!test.isSundayFullTest) {
+      const board = await testBoardPage(test, meta, "GS", req.query, req.user.uid);
+      if (board.error) return res.status(400).json({ message: board.error });
+      return res.json({
+        phase: "GS",
+        leaderboard: board.leaderboard,
+        totalRankedParticipants: board.total,
+        you: board.you,
+        nextCursor: board.nextCursor,
+        prevCursor: board.prevCursor,
+        rankStatus,
+        note: "Only on-time GS attempts"
+      });
+    }
+
+    const preview = { ...req.query, limit: req.query.limit || 20 };
+    const boards = {};
+    for (const boardScope of scopes) {
+      const board = await testBoardPage(test, meta, boardScope, preview, req.user.uid);
+      if (board.error) return res.status(400).json({ message: board.error });
+      boards[boardScope] = board;
+    }
+
+    const combinedBoard = {
+      policy: meta.combined?.policy || "summed",
+      leaderboard: boards.combined.leaderboard,
+      totalUniqueParticipants: meta.totals?.combined || 0,
+      you: boards.combined.you,
+      nextCursor: boards.combined.nextCursor,
+      prevCursor: boards.combined.prevCursor
+    };
+    if (combinedBoard.policy === "qualifying") {
+      combinedBoard.csatThreshold = Math.round(meta.combined.csatThreshold * 100) / 100;
+      combinedBoard.qualifyingPercent = meta.combined.qualifyingPercent;
+      combinedBoard.qualifiedParticipants = meta.combined.qualifiedParticipants;
+      combinedBoard.note = "Merit by GS score among candidates who cleared the CSAT qualifying mark";
+    }
+
+    res.json({
+      isSundayFullTest: true,
+      rankStatus,
+      gs: boards.GS,
+      csat: boards.CSAT,
+      combined: combinedBoard
+    });
+  } catch (err) {
+    console.error("/user/leaderboard error:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+async function attemptRankedMap(results) {
+  const attemptIds = results.map(r => r.attemptId).filter(Boolean);
+  if (!attemptIds.length) return new Map();
+  const attempts = await Attempt.find({ _id: { $in: attemptIds } }).select("ranked").lean();
+  return new Map(attempts.map(a => [a._id.toString(), a.ranked !== false]));
+}
+
+function resultMode(r, rankedByAttempt) {
+  const ranked = r.attemptId ? rankedByAttempt.get(r.attemptId.toString()) : undefined;
+  return (ranked ?? !r.isLate) ? "ranked" : "practice";
+}
+
+function formatAttemptSummary(r, rankedByAttempt) {
+  return {
+    attemptId: (r.attemptId || r._id).toString(),
+    phase: r.phase,
+    mode: resultMode(r, rankedByAttempt),
+    ranked: !r.isLate,
+    isOverTime: !!r.isOverTime,
+    score: Math.round(r.score * 100) / 100,
+    submittedAt: r.submittedAt
+  };
+}
+
+app.get("/user/tests", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const uid = req.user.uid;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const filter = { testType: "paid", startTime: { $lte: new Date() } };
+    const [tests, total] = await Promise.all([
+      Test.find(filter)
+        .select("title date startTime endTime isSundayFullTest")
+        .sort({ startTime: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Test.countDocuments(filter)
+    ]);
+    const testIds = tests.map(t => t._id);
+
+    const [results, practiceCounts] = await Promise.all([
+      Result.find({ userId: uid, testId: { $in: testIds } })
+        .select("testId attemptId phase score isLate isOverTime submittedAt")
+        .sort({ submittedAt: 1 })
+        .lean(),
+      Attempt.aggregate([
+        { $match: { userId: uid, testId: { $in: testIds }, ranked: false, status: "submitted" } },
+        { $group: { _id: "$testId", count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const practiceByTest = new Map(practiceCounts.map(p => [p._id.toString(), p.count]));
+    const now = new Date();
+
+    res.json({
+      page,
+      limit,
+      total,
+      tests: tests.map(t => {
+        const key = t._id.toString();
+        const mine = results.filter(r => r.testId.toString() === key);
+        const phases = t.isSundayFullTest ? ["GS", "CSAT"] : ["GS"];
+        const onTime = phases.map(phase => {
+          const first = mine.find(r => r.phase === phase && !r.isLate);
+          return {
+            phase,
+            submitted: !!first,
+            attemptId: first ? (first.attemptId || first._id).toString() : null,
+            score: first ? Math.round(first.score * 100) / 100 : null,
+            submittedAt: first ? first.submittedAt : null
+          };
+        });
+        return {
+          testId: key,
+          title: t.title,
+          date: t.date,
+          startTime: t.startTime,
+          endTime: t.endTime,
+          isSundayFullTest: !!t.isSundayFullTest,
+          windowOpen: now <= t.endTime,
+          onTimeStatus: onTime.every(p => p.submitted) ? "completed" : onTime.some(p => p.submitted) ? "partial" : "missed",
+          onTime,
+          practiceAttempts: practiceByTest.get(key) || 0,
+          lateSubmissions: mine.filter(r => r.isLate).length,
+          canPractice: now > t.endTime
+        };
+      })
+    });
+  } catch (err) {
+    console.error("/user/tests error:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.get("/user/review-test/:testId", userAuth, requireEntitlement("review"), async (req, res) => {
+  try {
+    await connectDB();
+    const test = await Test.findById(req.params.testId);
+    if (!test || test.testType !== "paid") {
+      return res.status(404).json({ message: "Test not found or not paid" });
+    }
+
+    const phase = req.query.phase || "GS";
+    const { attemptId } = req.query;
+
+    let filter = { userId: req.user.uid, testId: test._id };
+    if (test.isSundayFullTest) {
+      filter.phase = phase;
+    }
+
+    let result;
+    if (attemptId) {
+      if (!mongoose.isValidObjectId(attemptId)) {
+        return res.status(404).json({ message: "Attempt not found" });
+      }
+      result = await Result.findOne({
+        userId: req.user.uid,
+        testId: test._id,
+        $or: [{ attemptId }, { _id: attemptId }]
+      });
+      if (!result) return res.status(404).json({ message: "Attempt not found" });
+    } else {
+      result = await Result.findOne(filter).sort({ isLate: 1, submittedAt: 1 });
+    }
+    if (!result) {
+      return res.status(404).json({ message: `No submission found for phase ${phase}` });
+    }
+
+    const history = await Result.find({ userId: req.user.uid, testId: test._id, phase: result.phase })
+      .select("attemptId phase score isLate isOverTime submittedAt")
+      .sort({ submittedAt: 1 })
+      .lean();
+    const rankedByAttempt = await attemptRankedMap(history);
+
+    let qFilter = { testId: test._id };
+    if (test.isSundayFullTest) {
+      qFilter.phase = result.phase;
+    }
+
+    const lang = resolveLanguage(req);
+    const questions = (await Question.find(qFilter)
+      .sort({ questionNumber: 1 })
+      .lean()).map(q => localizeQuestion(q, lang, { includeExplanation: true }));
+
+    const layout = questionLayout(result.layout, req.user.uid, test._id, result.phase, questions);
+    const isShuffled = !!(result.layout?.shuffleQuestions || result.layout?.shuffleOptions);
+
+    const reviewQuestions = questions.map(q => {
+      const qid = q._id.toString();
+      const userAns = result.answers.find(a => a.questionId === qid);
+      const reviewed = {
+        questionNumber: q.questionNumber,
+        questionStatement: q.questionStatement,
+        options: q.options,
+        language: q.language,
+        availableLanguages: q.availableLanguages,
+        explanation: q.explanation,
+        yourAnswer: userAns?.selectedOption || null,
+        correctAnswer: q.correctOption,
+        isCorrect: answerCredited(q, userAns?.selectedOption),
+        acceptedOptions: q.acceptedOptions?.length ? q.acceptedOptions : undefined,
+        dropped: q.dropped?.mode ? { mode: q.dropped.mode, reason: q.dropped.reason || null } : undefined,
+        marks: userAns?.marks ?? null
+      };
+      if (isShuffled) {
+        const [displayed] = applyLayout([q], { order: [qid], byQuestion: layout.byQuestion });
+        reviewed.yourLayout = {
+          displayNumber: displayed.displayNumber,
+          options: displayed.options,
+          yourAnswer: toDisplayedOption(layout, qid, userAns?.selectedOption),
+          correctAnswer: toDisplayedOption(layout, qid, q.correctOption)
+        };
+      }
+      return reviewed;
+    });
+
+    const reveal = rankRevealFields(test);
+    const rankRevealNow = reveal.rankRevealNow;
+    let rankInfo = null;
+    if (!result.isLate && rankRevealNow) {
+      const snapshot = await getUserRankEntries(test, req.user.uid);
+      const entry = snapshot?.byScope[result.phase];
+      rankInfo = {
+        phase: result.phase,
+        score: Math.round(result.score * 100) / 100,
+        rank: entry ? entry.rank : null,
+        percentile: entry ? entry.percentile : null,
+        totalParticipants: entry ? entry.total : null,
+        rankPending: !entry
+      };
+    }
+
+    res.json({
+      title: test.title,
+      phase: result.phase,
+      score: Math.round(result.score * 100) / 100,
+      correct: result.correct,
+      incorrect: result.incorrect,
+      unattempted: result.unattempted,
+      markingScheme: result.markingScheme || DEFAULT_MARKING_SCHEMES.paid,
+      scoreChanged: (result.scoreHistory || []).length > 0,
+      scoreChanges: (result.scoreHistory || []).map(h => ({
+        reason: h.reason,
+        previousScore: Math.round(h.previousScore * 100) / 100,
+        newScore: Math.round(h.newScore * 100) / 100,
+        at: h.at
+      })),
+      attemptId: (result.attemptId || result._id).toString(),
+      submittedAt: result.submittedAt,
+      isLate: result.isLate,
+      attempts: history.map(r => formatAttemptSummary(r, rankedByAttempt)),
+      ...reveal,
+      rankInfo,
+      questions: reviewQuestions,
+      message: result.isLate
+        ? "Late attempt – shown for review/practice only (no rank)"
+        : rankRevealNow
+          ? "Review your answers and performance"
+          : `Rank will be available at ${reveal.rankRevealLabel}. Come back then!`
+    });
+  } catch (err) {
+    console.error("/user/review-test error:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+const REVISION_INTERVALS_DAYS = [1, 3, 7, 14, 30];
+
+function mistakeNotebookOps(userId, result, test, questions, seen = new Set()) {
+  const answerMap = new Map((result.answers || []).map(a => [a.questionId, a.selectedOption]));
+  const ops = [];
+  questions
+    .filter(q => q.testId.toString() === result.testId.toString() && (!test.isSundayFullTest || q.phase === result.phase))
+    .forEach(q => {
+      const qid = q._id.toString();
+      const selected = answerMap.get(qid);
+      if (q.dropped?.mode || isAnswerCorrect(q, selected) || seen.has(qid)) return;
+      seen.add(qid);
+      ops.push({
+        updateOne: {
+          filter: { userId, questionId: q._id },
+          update: {
+            $setOnInsert: {
+              userId,
+              questionId: q._id,
+              testId: q.testId,
+              phase: q.phase,
+              reason: selected ? "incorrect" : "unattempted",
+              originalAnswer: selected || null,
+              availableAt: test.endTime,
+              dueAt: test.endTime
+            }
+          },
+          upsert: true
+        }
+      });
+    });
+  return ops;
+}
+
+async function writeMistakeOps(ops) {
+  if (ops.length === 0) return 0;
+  try {
+    const res = await RevisionItem.bulkWrite(ops, { ordered: false });
+    return res.upsertedCount;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return err.result?.upsertedCount || 0;
+  }
+}
+
+async function addResultToMistakeNotebook(result, test, questions) {
+  return writeMistakeOps(mistakeNotebookOps(result.userId, result, test, questions));
+}
+
+async function syncMistakeNotebook(userId) {
+  const synced = await UserProfile.exists({ userId, mistakesSyncedAt: { $ne: null } });
+  if (synced) return 0;
+
+  const results = await Result.find({ userId })
+    .select("testId phase answers")
+    .lean();
+  const tests = await Test.find({ _id: { $in: results.map(r => r.testId) } }).select("isSundayFullTest endTime").lean();
+  const testsById = new Map(tests.map(t => [t._id.toString(), t]));
+  const questions = await Question.find({ testId: { $in: tests.map(t => t._id) } })
+    .select("testId phase correctOption acceptedOptions dropped")
+    .lean();
+
+  const seen = new Set();
+  const ops = results.flatMap(r => {
+    const test = testsById.get(r.testId.toString());
+    return test ? mistakeNotebookOps(userId, r, test, questions, seen) : [];
+  });
+  const added = await writeMistakeOps(ops);
+  await UserProfile.updateOne({ userId }, { $set: { mistakesSyncedAt: new Date() } });
+  return added;
+}
+
+app.get("/user/mistakes", userAuth, requireEntitlement("review"), async (req, res) => {
+  try {
+    await connectDB();
+    const uid = req.user.uid;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const added = await syncMistakeNotebook(uid);
+
+    const filter = { userId: uid, availableAt: { $not: { $gt: new Date() } } };
+    if (["incorrect", "unattempted"].includes(req.query.reason)) filter.reason = req.query.reason;
+    if (req.query.mastered === "true") filter.mastered = true;
+    if (req.query.mastered === "false") filter.mastered = false;
+
+    const [items, total] = await Promise.all([
+      RevisionItem.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      RevisionItem.countDocuments(filter)
+    ]);
+
+    const lang = resolveLanguage(req);
+    const questions = (await Question.find({ _id: { $in: items.map(i => i.questionId) } }).lean())
+      .map(q => localizeQuestion(q, lang, { includeExplanation: true }));
+    const questionsById = new Map(questions.map(q => [q._id.toString(), q]));
+
+    res.json({
+      added,
+      total,
+      page,
+      items: items.map(i => {
+        const q = questionsById.get(i.questionId.toString());
+        return {
+          itemId: i._id.toString(),
+          testId: i.testId?.toString() || null,
+          phase: i.phase,
+          reason: i.reason,
+          questionStatement: q?.questionStatement || null,
+          options: q?.options || null,
+          language: q?.language || null,
+          explanation: q?.explanation || null,
+          subject: q?.subject || null,
+          topic: q?.topic || null,
+          yourAnswer: i.originalAnswer || null,
+          correctAnswer: q?.correctOption || null,
+          box: i.box,
+          dueAt: i.dueAt,
+          reviewCount: i.reviewCount,
+          mastered: i.mastered
+        };
+      })
+    });
+  } catch (err) {
+    console.error("/user/mistakes error:", err.message);
+    res.status(500).json({ message: "Failed to fetch mistake notebook" });
+  }
+});
+
+app.get("/user/revision/queue", userAuth, requireEntitlement("review"), async (req, res) => {
+  try {
+    await connectDB();
+    const uid = req.user.uid;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    await syncMistakeNotebook(uid);
+
+    const now = new Date();
+    const dueFilter = { userId: uid, mastered: false, dueAt: { $lte: now } };
+    const [items, dueCount, nextDue] = await Promise.all([
+      RevisionItem.find(dueFilter).sort({ dueAt: 1 }).limit(limit).lean(),
+      RevisionItem.countDocuments(dueFilter),
+      RevisionItem.findOne({ userId: uid, mastered: false, dueAt: { $gt: now } }).sort({ dueAt: 1 }).select("dueAt").lean()
+    ]);
+
+    const lang = resolveLanguage(req);
+    const questions = (await Question.find({ _id: { $in: items.map(i => i.questionId) } })
+      .select("-correctOption")
+      .lean()).map(q => localizeQuestion(q, lang));
+    const questionsById = new Map(questions.map(q => [q._id.toString(), q]));
+
+    res.json({
+      dueCount,
+      nextDueAt: nextDue?.dueAt || null,
+      items: items
+        .filter(i => questionsById.has(i.questionId.toString()))
+        .map(i => ({
+          itemId: i._id.toString(),
+          reason: i.reason,
+          box: i.box,
+          reviewCount: i.reviewCount,
+          question: questionsById.get(i.questionId.toString())
+        }))
+    });
+  } catch (err) {
+    console.error("/user/revision/queue error:", err.message);
+    res.status(500).json({ message: "Failed to fetch revision queue" });
+  }
+});
+
+app.post("/user/revision/:itemId/answer", userAuth, requireEntitlement("review"), async (req, res) => {
+  try {
+    await connectDB();
+    const { selectedOption } = req.body;
+    if (!selectedOption || typeof selectedOption !== "string") {
+      return res.status(400).json({ message: "selectedOption is required" });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.itemId)) {
+      return res.status(404).json({ message: "Revision item not found" });
+    }
+    const item = await RevisionItem.findOne({
+      _id: req.params.itemId,
+      userId: req.user.uid,
+      availableAt: { $not: { $gt: new Date() } }
+    });
+    if (!item) return res.status(404).json({ message: "Revision item not found" });
+
+    const raw = await Question.findById(item.questionId).lean();
+    if (!raw) return res.status(404).json({ message: "Question no longer exists" });
+    const question = localizeQuestion(raw, resolveLanguage(req), { includeExplanation: true });
+
+    const now = new Date();
+    const isCorrect = isAnswerCorrect(question, selectedOption);
+
+    if (isCorrect) {
+      if (item.box >= REVISION_INTERVALS_DAYS.length) {
+        item.mastered = true;
+        item.box = REVISION_INTERVALS_DAYS.length;
+      } else {
+        item.dueAt = new Date(now.getTime() + REVISION_INTERVALS_DAYS[item.box] * DAY_MS);
+        item.box += 1;
+      }
+    } else {
+      item.box = 0;
+      item.lapses += 1;
+      item.mastered = false;
+      item.dueAt = new Date(now.getTime() + REVISION_INTERVALS_DAYS[0] * DAY_MS);
+    }
+    item.reviewCount += 1;
+    item.lastReviewedAt = now;
+    item.lastPracticeCorrect = isCorrect;
+    await item.save();
+
+    res.json({
+      itemId: item._id.toString(),
+      isCorrect,
+      yourAnswer: selectedOption,
+      correctAnswer: question.correctOption,
+      explanation: question.explanation,
+      box: item.box,
+      mastered: item.mastered,
+      nextDueAt: item.mastered ? null : item.dueAt
+    });
+  } catch (err) {
+    console.error("/user/revision/answer error:", err.message);
+    res.status(500).json({ message: "Failed to record revision answer" });
+  }
+});
+
+const FREE_ATTEMPT_TOKEN_TTL_SECONDS = 3 * 60 * 60;
+
+function issueFreeAttemptToken(req, testId) {
+  if (req.user || !process.env.TOKEN_SIGNING_SECRET) return null;
+  return signToken({
+    purpose: "free_attempt",
+    testId: testId.toString(),
+    jti: crypto.randomBytes(12).toString("hex")
+  }, FREE_ATTEMPT_TOKEN_TTL_SECONDS);
+}
+
+const FREE_REVIEW_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+function issueFreeReviewToken(result) {
+  if (!process.env.TOKEN_SIGNING_SECRET) return null;
+  return signToken({ purpose: "free_review", attemptId: result._id.toString() }, FREE_REVIEW_TOKEN_TTL_SECONDS);
+}
+
+const PRACTICE_MODES = ["all", "unseen", "wrong"];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+app.post("/user/practice/quiz", userAuth, requireEntitlement("paid_tests"), async (req, res) => {
+  try {
+    await connectDB();
+    const uid = req.user.uid;
+    const { phase, from, to, subject, topic } = req.body;
+    const mode = req.body.mode || "all";
+    const count = Math.min(Math.max(parseInt(req.body.count) || 25, 1), 100);
+
+    if (phase && !["GS", "CSAT"].includes(phase)) {
+      return res.status(400).json({ message: "phase must be 'GS' or 'CSAT'" });
+    }
+    if (!PRACTICE_MODES.includes(mode)) {
+      return res.status(400).json({ message: `mode must be one of ${PRACTICE_MODES.join(", ")}` });
+    }
+    if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+      return res.status(400).json({ message: "from and to must be dates in YYYY-MM-DD format" });
+    }
+
+    const testFilter = { testType: "paid", endTime: { $lte: new Date() } };
+    if (from || to) {
+      testFilter.date = {};
+      if (from) testFilter.date.$gte = from;
+      if (to) testFilter.date.$lte = to;
+    }
+    const tests = await Test.find(testFilter).select("_id").lean();
+    if (tests.length === 0) {
+      return res.status(404).json({ message: "No archived tests match these filters" });
+    }
+
+    const match = { testId: { $in: tests.map(t => t._id) }, "dropped.mode": { $exists: false } };
+    if (phase) match.phase = phase;
+    if (subject) match.subject = subject;
+    if (topic) match.topic = topic;
+
+    if (mode !== "all") {
+      const results = await Result.find({ userId: uid, testId: { $in: match.testId.$in } })
+        .select("testId phase answers")
+        .lean();
+
+      if (mode === "unseen") {
+        const pastQuizzes = await PracticeQuiz.find({ userId: uid }).select("questionIds").lean();
+        const seenPapers = results.map(r => ({ testId: r.testId, phase: r.phase }));
+        match._id = { $nin: pastQuizzes.flatMap(q => q.questionIds) };
+        if (seenPapers.length) match.$nor = seenPapers;
+      } else {
+        const answered = new Map();
+        results.forEach(r => (r.answers || []).forEach(a => {
+          if (a.selectedOption && mongoose.isValidObjectId(a.questionId)) answered.set(a.questionId, a.selectedOption);
+        }));
+        const answeredQuestions = await Question.find({
+          _id: { $in: [...answered.keys()] }
+        }).select("correctOption acceptedOptions").lean();
+        match._id = {
+          $in: answeredQuestions
+            .filter(q => !isAnswerCorrect(q, answered.get(q._id.toString())))
+            .map(q => q._id)
+        };
+      }
+    }
+
+    const lang = resolveLanguage(req);
+    const questions = (await Question.aggregate([
+      { $match: match },
+      { $sample: { size: count } },
+      { $project: { correctOption: 0 } }
+    ])).map(q => localizeQuestion(q, lang));
+    if (questions.length === 0) {
+      return res.status(404).json({ message: "No questions match these filters" });
+    }
+
+    const quiz = await PracticeQuiz.create({
+      userId: uid,
+      filters: { phase, from, to, mode, subject, topic },
+      questionIds: questions.map(q => q._id),
+      totalQuestions: questions.length
+    });
+
+    res.json({
+      quizId: quiz._id.toString(),
+      mode,
+      totalQuestions: questions.length,
+      questions,
+      note: "Practice quiz – not ranked and not counted on any leaderboard"
+    });
+  } catch (err) {
+    console.error("/user/practice/quiz error:", err.message);
+    res.status(500).json({ message: "Failed to build practice quiz" });
+  }
+});
+
+app.post("/user/practice/quiz/:quizId/submit", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const { answers } = req.body;
+    if (!Array.isArray(answers)) {
+      return res.status(400).json({ message: "answers must be an array of objects" });
+    }
+    if (!mongoose.isValidObjectId(req.params.quizId)) {
+      return res.status(404).json({ message: "Practice quiz not found" });
+    }
+
+    const quiz = await PracticeQuiz.findOne({ _id: req.params.quizId, userId: req.user.uid });
+    if (!quiz) return res.status(404).json({ message: "Practice quiz not found" });
+    if (quiz.status === "submitted") {
+      return res.status(403).json({ message: "This practice quiz has already been submitted.", alreadySubmitted: true });
+    }
+
+    const questions = await Question.find({ _id: { $in: quiz.questionIds } }).lean();
+    const tests = await Test.find({ _id: { $in: questions.map(q => q.testId) } }).lean();
+    const testsById = new Map(tests.map(t => [t._id.toString(), t]));
+
+    const totals = { correct: 0, incorrect: 0, unattempted: 0, attempted: 0, score: 0, totalQuestions: 0 };
+    const savedAnswers = [];
+    const byTestPhase = new Map();
+    questions.forEach(q => {
+      const key = `${q.testId}:${q.phase}`;
+      if (!byTestPhase.has(key)) byTestPhase.set(key, []);
+      byTestPhase.get(key).push(q);
+    });
+    for (const group of byTestPhase.values()) {
+      const ids = new Set(group.map(q => q._id.toString()));
+      const test = testsById.get(group[0].testId.toString()) || { testType: "paid" };
+      const graded = gradeAnswers(group, answers.filter(a => ids.has(a.questionId)), resolveMarkingScheme(test, group[0].phase));
+      ["correct", "incorrect", "unattempted", "attempted", "score", "totalQuestions"].forEach(k => {
+        totals[k] += graded[k];
+      });
+      savedAnswers.push(...graded.savedAnswers);
+    }
+
+    const claimed = await PracticeQuiz.findOneAndUpdate(
+      { _id: quiz._id, status: "open" },
+      { $set: { ...totals, status: "submitted", answers: savedAnswers, submittedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(403).json({ message: "This practice quiz has already been submitted.", alreadySubmitted: true });
+    }
+    await recordEngagement(req.user.uid, { questions: totals.attempted, at: claimed.submittedAt });
+
+    const lang = resolveLanguage(req);
+    const answerMap = new Map(savedAnswers.map(a => [a.questionId, a]));
+    res.json({
+      quizId: quiz._id.toString(),
+      score: Math.round(totals.score * 100) / 100,
+      correct: totals.correct,
+      incorrect: totals.incorrect,
+      unattempted: totals.unattempted,
+      totalQuestions: totals.totalQuestions,
+      questions: questions.map(raw => {
+        const q = localizeQuestion(raw, lang, { includeExplanation: true });
+        const userAns = answerMap.get(q._id.toString());
+        return {
+          questionId: q._id.toString(),
+          questionStatement: q.questionStatement,
+          options: q.options,
+          language: q.language,
+          explanation: q.explanation,
+          yourAnswer: userAns?.selectedOption || null,
+          correctAnswer: q.correctOption,
+          isCorrect: answerCredited(q, userAns?.selectedOption),
+          marks: userAns?.marks ?? 0
+        };
+      }),
+      message: "Practice quiz graded – not ranked"
+    });
+  } catch (err) {
+    console.error("/user/practice/submit error:", err.message);
+    res.status(500).json({ message: "Failed to submit practice quiz" });
+  }
+});
+
+app.get("/user/practice/quizzes", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const limit = parseInt(req.query.limit) || 30;
+
+    const quizzes = await PracticeQuiz.find({ userId: req.user.uid })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select("-answers -questionIds")
+      .lean();
+
+    res.json(quizzes.map(q => ({
+      quizId: q._id.toString(),
+      filters: q.filters,
+      status: q.status,
+      score: q.score != null ? Math.round(q.score * 100) / 100 : null,
+      correct: q.correct,
+      incorrect: q.incorrect,
+      totalQuestions: q.totalQuestions,
+      createdAt: q.createdAt,
+      submittedAt: q.submittedAt || null
+    })));
+  } catch (err) {
+    console.error("/user/practice/quizzes error:", err.message);
+    res.status(500).json({ message: "Failed to fetch practice quizzes" });
+  }
+});
+
+function formatProfile(profile) {
+  return {
+    displayName: profile.displayName || anonymousDisplayName(profile.userId),
+    district: profile.district || null,
+    avatarUrl: profile.avatarUrl || null,
+    hideFromPublicBoards: !!profile.hideFromPublicBoards,
+    createdAt: profile.createdAt,
+    updatedAt: profile.updatedAt,
+  };
+}
+
+app.get("/user/profile", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const profile = await UserProfile.findOne({ userId: req.user.uid }).lean();
+    if (!profile) return res.status(404).json({ message: "Profile not found" });
+    res.json(formatProfile(profile));
+  } catch (err) {
+    console.error("/user/profile error:", err.message);
+    res.status(500).json({ message: "Failed to fetch profile" });
+  }
+});
+
+app.patch("/user/profile", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const { displayName, district, avatarUrl, hideFromPublicBoards } = req.body || {};
+    const update = {};
+
+    if (displayName !== undefined) {
+      const name = typeof displayName === "string" ? displayName.trim() : "";
+      if (name.length < 2 || name.length > 40 || /[@<>]/.test(name)) {
+        return res.status(400).json({ message: "displayName must be 2-40 characters and must not contain @, < or >" });
+      }
+      update.displayName = name;
+    }
+    if (district !== undefined) {
+      if (district !== null && (typeof district !== "string" || district.trim().length > 60)) {
+        return res.status(400).json({ message: "district must be a string of at most 60 characters" });
+      }
+      update.district = district ? district.trim() : null;
+    }
+    if (avatarUrl !== undefined) {
+      if (avatarUrl !== null && (typeof avatarUrl !== "string" || !/^https:\/\/\S+$/.test(avatarUrl) || avatarUrl.length > 500)) {
+        return res.status(400).json({ message: "avatarUrl must be an https URL" });
+      }
+      update.avatarUrl = avatarUrl || null;
+    }
+    if (hideFromPublicBoards !== undefined) {
+      if (typeof hideFromPublicBoards !== "boolean") {
+        return res.status(400).json({ message: "hideFromPublicBoards must be a boolean" });
+      }
+      update.hideFromPublicBoards = hideFromPublicBoards;
+    }
+
+    const profile = await UserProfile.findOneAndUpdate(
+      { userId: req.user.uid },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true }
+    ).lean();
+
+    res.json(formatProfile(profile));
+  } catch (err) {
+    console.error("/user/profile update error:", err.message);
+    res.status(500).json({ message: "Failed to update profile" });
+  }
+});
+
+app.get("/plans", async (req, res) => {
+  try {
+    await connectDB();
+    const plans = await Plan.find({ active: true }).sort({ pricePaise: 1 }).lean();
+    res.json({ plans: plans.map(formatPlan) });
+  } catch (err) {
+    console.error("/plans error:", err.message);
+    res.status(500).json({ message: "Failed to fetch plans" });
+  }
+});
+
+app.get("/user/entitlements", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const now = new Date();
+    const entitlements = await Entitlement.find({ userId: req.user.uid })
+      .sort({ expiresAt: -1 })
+      .lean();
+
+    res.json({
+      active: entitlements.some(e => e.status === "active" && e.startsAt <= now && e.expiresAt > now),
+      entitlements: entitlements.map(e => ({
+        planCode: e.planCode,
+        features: e.features,
+        startsAt: e.startsAt,
+        expiresAt: e.expiresAt,
+        status: e.status === "active" && e.expiresAt <= now ? "expired" : e.status,
+      }))
+    });
+  } catch (err) {
+    console.error("/user/entitlements error:", err.message);
+    res.status(500).json({ message: "Failed to fetch entitlements" });
+  }
+});
+
+app.post("/payments/webhook", async (req, res) => {
+  try {
+    const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+    if (!secret) return res.status(503).json({ message: "Payments are not configured" });
+
+    const signature = req.headers["x-webhook-signature"];
+    if (!verifyWebhookSignature(req.rawBody, signature, secret)) {
+      return res.status(401).json({ message: "Invalid webhook signature" });
+    }
+
+    await connectDB();
+    const { event, paymentId, userId, planCode, paidAt } = req.body || {};
+    if (!event || !paymentId) {
+      return res.status(400).json({ message: "event and paymentId are required" });
+    }
+
+    if (event === "payment.refunded") {
+      const revoked = await revokePaymentEntitlements(paymentId);
+      return res.json({ received: true, revoked: revoked > 0, revokedCount: revoked });
+    }
+
+    if (event !== "payment.captured") {
+      return res.json({ received: true, ignored: true });
+    }
+
+    if (!userId || !planCode) {
+      return res.status(400).json({ message: "userId and planCode are required" });
+    }
+
+    const existing = await Entitlement.findOne({ paymentRef: paymentId }).lean();
+    if (existing) {
+      return res.json({ received: true, duplicate: true, expiresAt: existing.expiresAt });
+    }
+
+    const plan = await Plan.findOne({ code: planCode }).lean();
+    if (!plan) return res.status(400).json({ message: "Unknown plan" });
+
+    try {
+      const entitlement = await grantEntitlement({ userId, plan, paymentRef: paymentId, source: "webhook", paidAt });
+      res.json({ received: true, planCode, startsAt: entitlement.startsAt, expiresAt: entitlement.expiresAt });
+    } catch (err) {
+      if (err.code === 11000) return res.json({ received: true, duplicate: true });
+      throw err;
+    }
+  } catch (err) {
+    console.error("/payments/webhook error:", err.message);
+    res.status(500).json({ message: "Webhook processing failed" });
+  }
+});
+
+const ANOMALY_THRESHOLDS = {
+  minSecondsPerAttempted: 5,
+  severeSecondsPerAttempted: 2,
+  minAttemptedForTiming: 10,
+  minAttemptedForIdentical: 20,
+  minIdenticalWrong: 5,
+  maxSharedWrongGroup: 25,
+  minSharedWrong: 8,
+  sharedWrongRatio: 0.7,
+  clusterWindowSeconds: 30,
+  minClusterSize: 10,
+  burstWindowMinutes: 10,
+  burstMinAttempts: 3,
+};
+
+function analyzeTiming(results, t) {
+  const flags = [];
+  results.forEach(r => {
+    if (!r.attemptId || (r.attempted || 0) < t.minAttemptedForTiming) return;
+    const perQuestion = (r.timeTakenSeconds || 0) / r.attempted;
+    if (perQuestion >= t.minSecondsPerAttempted) return;
+    flags.push({
+      result: r,
+      type: "implausible_time",
+      severity: perQuestion < t.severeSecondsPerAttempted ? "high" : "medium",
+      details: { timeTakenSeconds: r.timeTakenSeconds, attempted: r.attempted, secondsPerQuestion: Math.round(perQuestion * 10) / 10 }
+    });
+  });
+  return flags;
+}
+
+function analyzeSimilarity(results, questions, t) {
+  const flags = [];
+  const questionsById = new Map(questions.filter(q => !q.dropped?.mode).map(q => [q._id.toString(), q]));
+  const byUser = new Map(results.map(r => [r.userId, r]));
+
+  const identicalGroups = new Map();
+  const wrongGroups = new Map();
+  const wrongCounts = new Map();
+
+  results.forEach(r => {
+    const answered = (r.answers || [])
+      .filter(a => a.selectedOption && questionsById.has(a.questionId))
+      .sort((a, b) => a.questionId.localeCompare(b.questionId));
+    const wrongPicks = answered.filter(a => !isAnswerCorrect(questionsById.get(a.questionId), a.selectedOption));
+
+    if (answered.length >= t.minAttemptedForIdentical && wrongPicks.length >= t.minIdenticalWrong) {
+      const signature = wrongPicks.map(a => `${a.questionId}:${a.selectedOption}`).join("|");
+      if (!identicalGroups.has(signature)) identicalGroups.set(signature, []);
+      identicalGroups.get(signature).push(r.userId);
+    }
+
+    wrongPicks.forEach(a => {
+      const key = `${a.questionId}:${a.selectedOption}`;
+      if (!wrongGroups.has(key)) wrongGroups.set(key, []);
+      wrongGroups.get(key).push(r.userId);
+    });
+    wrongCounts.set(r.userId, wrongPicks.length);
+  });
+
+  identicalGroups.forEach(userIds => {
+    if (userIds.length < 2) return;
+    userIds.forEach(uid => flags.push({
+      result: byUser.get(uid),
+      type: "identical_answers",
+      severity: "high",
+      details: { groupSize: userIds.length, sharedWrong: wrongCounts.get(uid), matchedWith: userIds.filter(other => other !== uid).slice(0, 10) }
+    }));
+  });
+
+  const pairCounts = new Map();
+  wrongGroups.forEach(userIds => {
+    if (userIds.length < 2 || userIds.length > t.maxSharedWrongGroup) return;
+    for (let i = 0; i < userIds.length; i++) {
+      for (let j = i + 1; j < userIds.length; j++) {
+        const key = userIds[i] < userIds[j] ? `${userIds[i]}\u0000${userIds[j]}` : `${userIds[j]}\u0000${userIds[i]}`;
+        pairCounts.set(key, (pairCounts.get(key) || 0) + 1);
+      }
+    }
+  });
+
+  const pairs = [];
+  pairCounts.forEach((shared, key) => {
+    if (shared < t.minSharedWrong) return;
+    const [a, b] = key.split("\u0000");
+    const ratio = shared / Math.max(1, Math.min(wrongCounts.get(a), wrongCounts.get(b)));
+    if (ratio < t.sharedWrongRatio) return;
+    pairs.push([a, b]);
+    [[a, b], [b, a]].forEach(([uid, other]) => flags.push({
+      result: byUser.get(uid),
+      type: "shared_wrong_answers",
+      severity: ratio >= 0.9 ? "high" : "medium",
+      details: { matchedWith: other, sharedWrong: shared, ratio: Math.round(ratio * 100) / 100 }
+    }));
+  });
+
+  return { flags, pairs };
+}
+
+function analyzeSubmissionClusters(results, pairs, t) {
+  const flags = [];
+  const clusters = [];
+  const sorted = [...results].sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+  if (sorted.length === 0) return { flags, clusters };
+
+  const span = Math.max(1, (new Date(sorted[sorted.length - 1].submittedAt) - new Date(sorted[0].submittedAt)) / 1000);
+  const expected = (sorted.length * t.clusterWindowSeconds) / span;
+  const minSize = Math.max(t.minClusterSize, Math.ceil(expected * 5));
+
+  let start = 0;
+  for (let end = 0; end < sorted.length; end++) {
+    while (new Date(sorted[end].submittedAt) - new Date(sorted[start].submittedAt) > t.clusterWindowSeconds * 1000) start++;
+    const size = end - start + 1;
+    const last = clusters[clusters.length - 1];
+    if (size >= minSize) {
+      if (last && last.endIndex >= start) {
+        last.endIndex = end;
+        last.size = end - last.startIndex + 1;
+      } else {
+        clusters.push({ startIndex: start, endIndex: end, size });
+      }
+    }
+  }
+
+  const windowMs = t.clusterWindowSeconds * 1000;
+  const byUser = new Map(results.map(r => [r.userId, r]));
+  pairs.forEach(([a, b]) => {
+    const ra = byUser.get(a);
+    const rb = byUser.get(b);
+    const gap = Math.abs(new Date(ra.submittedAt) - new Date(rb.submittedAt));
+    if (gap > windowMs) return;
+    [[ra, b], [rb, a]].forEach(([r, other]) => flags.push({
+      result: r,
+      type: "coordinated_submission",
+      severity: "high",
+      details: { matchedWith: other, gapSeconds: Math.round(gap / 1000) }
+    }));
+  });
+
+  return {
+    flags,
+    clusters: clusters.map(c => ({
+      from: sorted[c.startIndex].submittedAt,
+      to: sorted[c.endIndex].submittedAt,
+      size: c.size,
+      expectedPerWindow: Math.round(expected * 10) / 10
+    }))
+  };
+}
+
+async function analyzeAttemptBursts(test, results, t) {
+  const flags = [];
+  const byUser = new Map(results.map(r => [r.userId, r]));
+  const attempts = await Attempt.find({ testId: test._id, userId: { $in: [...byUser.keys()] } })
+    .select("userId startedAt")
+    .sort({ startedAt: 1 })
+    .lean();
+
+  const starts = new Map();
+  attempts.forEach(a => {
+    if (!starts.has(a.userId)) starts.set(a.userId, []);
+    starts.get(a.userId).push(new Date(a.startedAt).getTime());
+  });
+
+  const windowMs = t.burstWindowMinutes * 60 * 1000;
+  starts.forEach((times, uid) => {
+    let start = 0;
+    let worst = 0;
+    for (let end = 0; end < times.length; end++) {
+      while (times[end] - times[start] > windowMs) start++;
+      worst = Math.max(worst, end - start + 1);
+    }
+    if (worst >= t.burstMinAttempts) {
+      flags.push({
+        result: byUser.get(uid),
+        type: "attempt_burst",
+        severity: worst >= t.burstMinAttempts * 2 ? "high" : "medium",
+        details: { attemptsInWindow: worst, windowMinutes: t.burstWindowMinutes }
+      });
+    }
+  });
+  return flags;
+}
+
+async function runAnomalyAnalysis(test) {
+  const t = ANOMALY_THRESHOLDS;
+  const phases = test.isSundayFullTest ? ["GS", "CSAT"] : ["GS"];
+  const flags = [];
+  const clusters = {};
+  const summary = {};
+
+  for (const phase of phases) {
+    const results = await Result.find({ testId: test._id, phase, isLate: false })
+      .select("userId phase answers attempted timeTakenSeconds submittedAt attemptId")
+      .lean();
+    const questions = await Question.find(phaseQuestionFilter(test, phase)).select("correctOption acceptedOptions dropped").lean();
+
+    const timing = analyzeTiming(results, t);
+    const similarity = analyzeSimilarity(results, questions, t);
+    const submission = analyzeSubmissionClusters(results, similarity.pairs, t);
+    const bursts = await analyzeAttemptBursts(test, results, t);
+
+    const phaseFlags = [...timing, ...similarity.flags, ...submission.flags, ...bursts];
+    flags.push(...phaseFlags);
+    clusters[phase] = submission.clusters;
+    summary[phase] = {
+      resultsAnalysed: results.length,
+      flaggedResults: new Set(phaseFlags.map(f => f.result._id.toString())).size,
+      implausibleTime: timing.length,
+      similarPairs: similarity.pairs.length,
+      submissionClusters: submission.clusters.length,
+      attemptBursts: bursts.length,
+    };
+  }
+
+  const grouped = new Map();
+  flags.forEach(f => {
+    const key = f.result._id.toString();
+    if (!grouped.has(key)) grouped.set(key, { result: f.result, reasons: [] });
+    grouped.get(key).reasons.push({ type: f.type, severity: f.severity, details: f.details });
+  });
+
+  return { thresholds: t, summary, clusters, flagged: [...grouped.values()] };
+}
+
+async function setResultExclusion(resultId, excluded) {
+  const result = await Result.findOneAndUpdate(
+    { _id: resultId, excludedFromRanking: { $ne: excluded } },
+    { $set: { excludedFromRanking: excluded } },
+    { new: true }
+  ).lean();
+  if (result) await markRankSnapshotStale(result.testId);
+}
+
+function formatResultFlag(flag) {
+  return {
+    flagId: flag._id.toString(),
+    resultId: flag.resultId.toString(),
+    userId: flag.userId,
+    phase: flag.phase,
+    reasons: flag.reasons,
+    status: flag.status,
+    excludeFromRanking: flag.excludeFromRanking,
+    reviewedBy: flag.reviewedBy || null,
+    reviewedAt: flag.reviewedAt || null,
+    note: flag.note || null,
+    updatedAt: flag.updatedAt,
+  };
+}
+
+app.post("/reviewer/anomalies/:testId/run", userAuth, requireClaim("reviewer", "admin"), async (req, res) => {
+  try {
+    await connectDB();
+    const test = await Test.findById(req.params.testId).lean();
+    if (!test || test.testType !== "paid") return res.status(404).json({ message: "Paid test not found" });
+
+    const excludePending = req.body?.excludePending === true;
+    const analysis = await runAnomalyAnalysis(test);
+
+    for (const { result, reasons } of analysis.flagged) {
+      const flag = await ResultFlag.findOneAndUpdate(
+        { resultId: result._id },
+        {
+          $set: { reasons, testId: test._id, userId: result.userId, phase: result.phase },
+          $setOnInsert: { status: "pending", excludeFromRanking: excludePending }
+        },
+        { upsert: true, new: true }
+      ).lean();
+      if (flag.status === "pending" && flag.excludeFromRanking) await setResultExclusion(result._id, true);
+    }
+
+    const report = await AnomalyReport.create({
+      testId: test._id,
+      generatedBy: req.user.uid,
+      thresholds: analysis.thresholds,
+      summary: analysis.summary,
+      clusters: analysis.clusters
+    });
+
+    res.json({
+      reportId: report._id.toString(),
+      generatedAt: report.createdAt,
+      summary: analysis.summary,
+      clusters: analysis.clusters,
+      flaggedResults: analysis.flagged.length
+    });
+  } catch (err) {
+    console.error("/reviewer/anomalies run error:", err.message);
+    res.status(500).json({ message: "Anomaly analysis failed" });
+  }
+});
+
+app.get("/reviewer/anomalies/:testId", userAuth, requireClaim("reviewer", "admin"), async (req, res) => {
+  try {
+    await connectDB();
+    if (!mongoose.isValidObjectId(req.params.testId)) return res.status(404).json({ message: "Test not found" });
+
+    const filter = { testId: req.params.testId };
+    if (["pending", "cleared", "confirmed"].includes(req.query.status)) filter.status = req.query.status;
+
+    const [report, flags] = await Promise.all([
+      AnomalyReport.findOne({ testId: req.params.testId }).sort({ createdAt: -1 }).lean(),
+      ResultFlag.find(filter).sort({ updatedAt: -1 }).lean()
+    ]);
+
+    res.json({
+      report: report ? {
+        reportId: report._id.toString(),
+        generatedAt: report.createdAt,
+        generatedBy: report.generatedBy,
+        thresholds: report.thresholds,
+        summary: report.summary,
+        clusters: report.clusters
+      } : null,
+      flags: flags.map(formatResultFlag)
+    });
+  } catch (err) {
+    console.error("/reviewer/anomalies error:", err.message);
+    res.status(500).json({ message: "Failed to fetch anomaly report" });
+  }
+});
+
+app.post("/reviewer/flags/:flagId", userAuth, requireClaim("reviewer", "admin"), async (req, res) => {
+  try {
+    await connectDB();
+    const { status, excludeFromRanking, note } = req.body || {};
+    if (!["pending", "cleared", "confirmed"].includes(status)) {
+      return res.status(400).json({ message: "status must be 'pending', 'cleared' or 'confirmed'" });
+    }
+    if (excludeFromRanking !== undefined && typeof excludeFromRanking !== "boolean") {
+      return res.status(400).json({ message: "excludeFromRanking must be a boolean" });
+    }
+    if (!mongoose.isValidObjectId(req.params.flagId)) return res.status(404).json({ message: "Flag not found" });
+
+    const exclude = status === "cleared" ? false : status === "confirmed" ? true : !!excludeFromRanking;
+    const flag = await ResultFlag.findByIdAndUpdate(
+      req.params.flagId,
+      { $set: { status, excludeFromRanking: exclude, reviewedBy: req.user.uid, reviewedAt: new Date(), note } },
+      { new: true }
+    ).lean();
+    if (!flag) return res.status(404).json({ message: "Flag not found" });
+
+    await setResultExclusion(flag.resultId, exclude);
+
+    res.json(formatResultFlag(flag));
+  } catch (err) {
+    console.error("/reviewer/flags error:", err.message);
+    res.status(500).json({ message: "Failed to update flag" });
+  }
+});
+
+function formatObjection(o) {
+  return {
+    objectionId: o._id.toString(),
+    testId: o.testId.toString(),
+    questionId: o.questionId.toString(),
+    phase: o.phase || null,
+    claimedOption: o.claimedOption || null,
+    reason: o.reason,
+    reference: o.reference || null,
+    status: o.status,
+    moderatorResponse: o.moderatorResponse || null,
+    createdAt: o.createdAt,
+    resolvedAt: o.resolvedAt || null,
+  };
+}
+
+app.get("/user/answer-key/:testId", userAuth, requireEntitlement("review"), async (req, res) => {
+  try {
+    await connectDB();
+    const test = await Test.findById(req.params.testId).lean();
+    if (!test || test.testType !== "paid") return res.status(404).json({ message: "Paid test not found" });
+    if (Date.now() < new Date(test.endTime).getTime()) {
+      return res.status(403).json({ message: "The answer key is published after the test ends" });
+    }
+
+    const questions = await Question.find({ testId: test._id })
+      .select("questionNumber phase correctOption")
+      .sort({ phase: 1, questionNumber: 1 })
+      .lean();
+
+    res.json({
+      testId: test._id.toString(),
+      title: test.title,
+      ...answerKeyFields(test),
+      answerKeyFinalizedAt: test.answerKeyFinalizedAt || null,
+      key: questions.map(q => ({
+        questionId: q._id.toString(),
+        questionNumber: q.questionNumber,
+        phase: q.phase,
+        correctOption: q.correctOption
+      }))
+    });
+  } catch (err) {
+    console.error("/user/answer-key error:", err.message);
+    res.status(500).json({ message: "Failed to fetch answer key" });
+  }
+});
+
+app.post("/user/objections/:testId", userAuth, requireEntitlement("review"), async (req, res) => {
+  try {
+    await connectDB();
+    const { questionId, claimedOption, reason, reference } = req.body || {};
+
+    if (!mongoose.isValidObjectId(questionId)) {
+      return res.status(400).json({ message: "questionId is required" });
+    }
+    if (claimedOption != null && !OPTION_KEYS.includes(claimedOption)) {
+      return res.status(400).json({ message: `claimedOption must be one of ${OPTION_KEYS.join(", ")}` });
+    }
+    const trimmedReason = typeof reason === "string" ? reason.trim() : "";
+    if (trimmedReason.length < 20 || trimmedReason.length > 1000) {
+      return res.status(400).json({ message: "reason must be between 20 and 1000 characters" });
+    }
+    if (reference != null && (typeof reference !== "string" || reference.length > 500)) {
+      return res.status(400).json({ message: "reference must be a string of at most 500 characters" });
+    }
+
+    const test = await Test.findById(req.params.testId).lean();
+    if (!test || test.testType !== "paid") return res.status(404).json({ message: "Paid test not found" });
+
+    const keyState = answerKeyFields(test);
+    if (!keyState.objectionWindowOpen) {
+      return res.status(403).json({ message: "The objection window for this test is closed", ...keyState });
+    }
+
+    const question = await Question.findOne({ _id: questionId, testId: test._id }).select("phase correctOption").lean();
+    if (!question) return res.status(404).json({ message: "Question not found in this test" });
+    if (claimedOption && claimedOption === question.correctOption) {
+      return res.status(400).json({ message: "claimedOption matches the provisional key" });
+    }
+
+    const attempted = await Result.exists({ userId: req.user.uid, testId: test._id });
+    if (!attempted) {
+      return res.status(403).json({ message: "Only candidates who attempted this test can raise objections" });
+    }
+
+    try {
+      const objection = await Objection.create({
+        userId: req.user.uid,
+        testId: test._id,
+        questionId: question._id,
+        phase: question.phase,
+        claimedOption: claimedOption || null,
+        reason: trimmedReason,
+        reference: reference ? reference.trim() : undefined
+      });
+      res.status(201).json(formatObjection(objection));
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ message: "You already have an open objection for this question" });
+      }
+      throw err;
+    }
+  } catch (err) {
+    console.error("/user/objections submit error:", err.message);
+    res.status(500).json({ message: "Failed to submit objection" });
+  }
+});
+
+app.get("/user/objections", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const filter = { userId: req.user.uid };
+    if (req.query.testId) {
+      if (!mongoose.isValidObjectId(req.query.testId)) return res.json([]);
+      filter.testId = req.query.testId;
+    }
+
+    const objections = await Objection.find(filter).sort({ createdAt: -1 }).lean();
+    res.json(objections.map(formatObjection));
+  } catch (err) {
+    console.error("/user/objections error:", err.message);
+    res.status(500).json({ message: "Failed to fetch objections" });
+  }
+});
+
+app.post("/user/objections/:objectionId/withdraw", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    if (!mongoose.isValidObjectId(req.params.objectionId)) {
+      return res.status(404).json({ message: "Objection not found" });
+    }
+
+    const objection = await Objection.findOneAndUpdate(
+      { _id: req.params.objectionId, userId: req.user.uid, status: "open" },
+      { $set: { status: "withdrawn", withdrawnAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!objection) {
+      return res.status(404).json({ message: "No open objection found to withdraw" });
+    }
+
+    res.json(formatObjection(objection));
+  } catch (err) {
+    console.error("/user/objections withdraw error:", err.message);
+    res.status(500).json({ message: "Failed to withdraw objection" });
+  }
+});
+
+app.get("/reviewer/objections/:testId", userAuth, requireClaim("moderator", "reviewer", "admin"), async (req, res) => {
+  try {
+    await connectDB();
+    const test = await Test.findById(req.params.testId).lean();
+    if (!test) return res.status(404).json({ message: "Test not found" });
+
+    const counts = await Objection.aggregate([
+      { $match: { testId: test._id, status: { $ne: "withdrawn" } } },
+      { $group: {
+          _id: { questionId: "$questionId", claimedOption: "$claimedOption", status: "$status" },
+          count: { $sum: 1 },
+          references: { $addToSet: "$reference" },
+          sampleReasons: { $push: "$reason" }
+        }},
+    ]);
+
+    const questions = await Question.find({ _id: { $in: counts.map(c => c._id.questionId) } })
+      .select("questionNumber phase correctOption")
+      .lean();
+    const questionsById = new Map(questions.map(q => [q._id.toString(), q]));
+
+    const byQuestion = new Map();
+    counts.forEach(c => {
+      const qid = c._id.questionId.toString();
+      if (!byQuestion.has(qid)) {
+        const q = questionsById.get(qid);
+        byQuestion.set(qid, {
+          questionId: qid,
+          questionNumber: q?.questionNumber ?? null,
+          phase: q?.phase || null,
+          provisionalOption: q?.correctOption || null,
+          total: 0,
+          open: 0,
+          byClaimedOption: {},
+          references: [],
+          sampleReasons: []
+        });
+      }
+      const entry = byQuestion.get(qid);
+      const option = c._id.claimedOption || "unspecified";
+      entry.total += c.count;
+      if (c._id.status === "open") entry.open += c.count;
+      entry.byClaimedOption[option] = (entry.byClaimedOption[option] || 0) + c.count;
+      entry.references.push(...c.references.filter(Boolean));
+      entry.sampleReasons.push(...c.sampleReasons);
+    });
+
+    res.json({
+      testId: test._id.toString(),
+      ...answerKeyFields(test),
+      questions: [...byQuestion.values()]
+        .map(e => ({
+          ...e,
+          references: [...new Set(e.references)].slice(0, 10),
+          sampleReasons: e.sampleReasons.slice(0, 5)
+        }))
+        .sort((a, b) => b.total - a.total)
+    });
+  } catch (err) {
+    console.error("/reviewer/objections error:", err.message);
+    res.status(500).json({ message: "Failed to fetch objection summary" });
+  }
+});
+
+app.post("/reviewer/objections/:objectionId/resolve", userAuth, requireClaim("moderator", "reviewer", "admin"), async (req, res) => {
+  try {
+    await connectDB();
+    const { status, response } = req.body || {};
+    if (!["accepted", "rejected"].includes(status)) {
+      return res.status(400).json({ message: "status must be 'accepted' or 'rejected'" });
+    }
+    if (!mongoose.isValidObjectId(req.params.objectionId)) {
+      return res.status(404).json({ message: "Objection not found" });
+    }
+
+    const objection = await Objection.findOneAndUpdate(
+      { _id: req.params.objectionId, status: { $in: ["open", "accepted", "rejected"] } },
+      { $set: { status, moderatorResponse: response, resolvedBy: req.user.uid, resolvedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!objection) return res.status(404).json({ message: "Objection not found" });
+
+    res.json(formatObjection(objection));
+  } catch (err) {
+    console.error("/reviewer/objections resolve error:", err.message);
+    res.status(500).json({ message: "Failed to resolve objection" });
+  }
+});
+
+app.post("/reviewer/answer-key/:testId/finalize", userAuth, requireClaim("admin"), async (req, res) => {
+  try {
+    await connectDB();
+    const test = await Test.findOneAndUpdate(
+      { _id: req.params.testId, answerKeyStatus: { $ne: "final" } },
+      { $set: { answerKeyStatus: "final", answerKeyFinalizedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!test) return res.status(404).json({ message: "Test not found or key already final" });
+
+    const closed = await Objection.updateMany(
+      { testId: test._id, status: "open" },
+      { $set: { status: "rejected", moderatorResponse: "Closed when the final answer key was published", resolvedBy: req.user.uid, resolvedAt: new Date() } }
+    );
+    await markRankSnapshotStale(test._id);
+
+    res.json({
+      testId: test._id.toString(),
+      ...answerKeyFields(test),
+      answerKeyFinalizedAt: test.answerKeyFinalizedAt,
+      closedObjections: closed.modifiedCount
+    });
+  } catch (err) {
+    console.error("/reviewer/answer-key finalize error:", err.message);
+    res.status(500).json({ message: "Failed to finalize answer key" });
+  }
+});
+
+const REGRADE_BATCH_SIZE = 500;
+const REGRADE_TIME_BUDGET_MS = 40 * 1000;
+const REGRADE_LOCK_MS = 2 * 60 * 1000;
+
+
+async function regradeBatch(regrade, test, questions) {
+  const stage = regrade.progress.stage;
+  const Model = stage === "free" ? FreeResult : Result;
+  const filter = stage === "free"
+    ? { testId: test._id, "answers.0": { $exists: true } }
+    : { testId: test._id, ...(test.isSundayFullTest ? { phase: regrade.phase } : {}) };
+  if (regrade.progress.lastId) filter._id = { $gt: regrade.progress.lastId };
+
+  const rows = await Model.find(filter).sort({ _id: 1 }).limit(REGRADE_BATCH_SIZE).lean();
+  const now = new Date();
+  const ops = [];
+
+  rows.forEach(r => {
+    const scheme = r.markingScheme || (stage === "free" ? DEFAULT_MARKING_SCHEMES.free : DEFAULT_MARKING_SCHEMES.paid);
+    const graded = gradeAnswers(questions, r.answers || [], scheme);
+    const unchanged = Math.abs(graded.score - (r.score || 0)) < 1e-9
+      && graded.correct === r.correct
+      && graded.incorrect === r.incorrect
+      && graded.totalQuestions === r.totalQuestions;
+    if (unchanged) return;
+
+    if (stage === "free") {
+      ops.push({
+        updateOne: {
+          filter: { _id: r._id },
+          update: {
+            $set: {
+              score: graded.score,
+              correct: graded.correct,
+              incorrect: graded.incorrect,
+              unattempted: graded.totalQuestions - graded.correct - graded.incorrect,
+              totalQuestions: graded.totalQuestions,
+              answers: graded.savedAnswers
+            }
+          }
+        }
+      });
+      return;
+    }
+    ops.push({
+      updateOne: {
+        filter: { _id: r._id, "scoreHistory.regradeId": { $ne: regrade._id } },
+        update: {
+          $set: {
+            score: graded.score,
+            correct: graded.correct,
+            incorrect: graded.incorrect,
+            unattempted: graded.unattempted,
+            attempted: graded.attempted,
+            totalQuestions: graded.totalQuestions,
+            answers: graded.savedAnswers,
+            regradedAt: now
+          },
+          $push: {
+            scoreHistory: {
+              regradeId: regrade._id,
+              reason: regrade.reason,
+              previousScore: r.score,
+              newScore: graded.score,
+              previousCorrect: r.correct,
+              newCorrect: graded.correct,
+              previousIncorrect: r.incorrect,
+              newIncorrect: graded.incorrect,
+              at: now
+            }
+          }
+        }
+      }
+    });
+  });
+  if (ops.length) await Model.bulkWrite(ops, { ordered: false });
+
+  return { scanned: rows.length, changed: ops.length, lastId: rows.length ? rows[rows.length - 1]._id : null };
+}
+
+function questionKeyUpdate(after, at) {
+  const update = { $set: { correctOption: after.correctOption, acceptedOptions: after.acceptedOptions || [] } };
+  if (after.dropped) {
+    update.$set.dropped = { mode: after.dropped.mode, reason: after.dropped.reason || undefined, at };
+  } else {
+    update.$unset = { dropped: "" };
+  }
+  return update;
+}
+
+async function runRegrade(regrade, deadline) {
+  const test = await Test.findById(regrade.testId).lean();
+  if (!test) throw new Error("Test not found");
+
+  if (!regrade.progress?.stage) {
+    await Question.updateOne({ _id: regrade.questionId }, questionKeyUpdate(regrade.after, regrade.createdAt));
+    regrade = await Regrade.findOneAndUpdate(
+      { _id: regrade._id },
+      { $set: { "progress.stage": test.testType === "free" ? "free" : "results", startedAt: new Date() } },
+      { new: true }
+    ).lean();
+  }
+
+  const questions = await Question.find(regrade.progress.stage === "free" ? { testId: test._id } : phaseQuestionFilter(test, regrade.phase)).lean();
+
+  while (Date.now() < deadline) {
+    const { scanned, changed, lastId } = await regradeBatch(regrade, test, questions);
+    if (scanned < REGRADE_BATCH_SIZE) {
+      if (test.testType === "paid") await markRankSnapshotStale(test._id);
+      return Regrade.findOneAndUpdate(
+        { _id: regrade._id },
+        {
+          $inc: { resultsScanned: scanned, [regrade.progress.stage === "free" ? "freeResultsChanged" : "resultsChanged"]: changed },
+          $set: { status: "completed", completedAt: new Date(), lockedAt: null, error: null }
+        },
+        { new: true }
+      ).lean();
+    }
+    regrade = await Regrade.findOneAndUpdate(
+      { _id: regrade._id },
+      {
+        $inc: { resultsScanned: scanned, [regrade.progress.stage === "free" ? "freeResultsChanged" : "resultsChanged"]: changed },
+        $set: { "progress.lastId": lastId, lockedAt: new Date() }
+      },
+      { new: true }
+    ).lean();
+  }
+
+  return Regrade.findOneAndUpdate({ _id: regrade._id }, { $set: { lockedAt: null } }, { new: true }).lean();
+}
+
+async function processRegradeQueue() {
+  const deadline = Date.now() + REGRADE_TIME_BUDGET_MS;
+  const processed = [];
+
+  while (Date.now() < deadline) {
+    const now = new Date();
+    const job = await Regrade.findOneAndUpdate(
+      {
+        $or: [
+          { status: "queued" },
+          { status: "running", $or: [{ lockedAt: null }, { lockedAt: { $lt: new Date(now.getTime() - REGRADE_LOCK_MS) } }] }
+        ]
+      },
+      { $set: { status: "running", lockedAt: now }, $inc: { attempts: 1 } },
+      { new: true, sort: { createdAt: 1 } }
+    ).lean();
+    if (!job) break;
+
+    const earlier = await Regrade.exists({
+      testId: job.testId,
+      _id: { $ne: job._id },
+      status: { $in: ["queued", "running"] },
+      createdAt: { $lt: job.createdAt }
+    });
+    if (earlier) {
+      await Regrade.updateOne({ _id: job._id }, { $set: { lockedAt: null }, $inc: { attempts: -1 } });
+      break;
+    }
+
+    try {
+      const result = await runRegrade(job, deadline);
+      processed.push({ regradeId: job._id.toString(), status: result.status });
+      if (result.status !== "completed") break;
+    } catch (err) {
+      console.error("regrade job error:", err.message);
+      await Regrade.updateOne({ _id: job._id }, { $set: { status: "failed", error: err.message, lockedAt: null } });
+      processed.push({ regradeId: job._id.toString(), status: "failed" });
+    }
+  }
+
+  return processed;
+}
+
+function questionKeyState(q) {
+  return {
+    correctOption: q.correctOption,
+    acceptedOptions: q.acceptedOptions || [],
+    dropped: q.dropped?.mode ? { mode: q.dropped.mode, reason: q.dropped.reason || null } : null
+  };
+}
+
+function formatRegrade(r) {
+  return {
+    regradeId: r._id.toString(),
+    testId: r.testId.toString(),
+    questionId: r.questionId.toString(),
+    phase: r.phase,
+    action: r.action,
+    before: r.before,
+    after: r.after,
+    reason: r.reason,
+    status: r.status,
+    attempts: r.attempts || 0,
+    resultsScanned: r.resultsScanned ?? null,
+    resultsChanged: r.resultsChanged ?? null,
+    freeResultsChanged: r.freeResultsChanged ?? null,
+    createdBy: r.createdBy,
+    createdAt: r.createdAt,
+    completedAt: r.completedAt || null,
+    error: r.error || null
+  };
+}
+
+app.post("/reviewer/regrade/:questionId", userAuth, requireClaim("admin"), async (req, res) => {
+  try {
+    await connectDB();
+    const { action, correctOption, acceptedOptions, dropMode, reason } = req.body || {};
+
+    if (!["change_key", "accept_multiple", "drop"].includes(action)) {
+      return res.status(400).json({ message: "action must be 'change_key', 'accept_multiple' or 'drop'" });
+    }
+    if (typeof reason !== "string" || reason.trim().length < 5) {
+      return res.status(400).json({ message: "reason is required" });
+    }
+    if (!mongoose.isValidObjectId(req.params.questionId)) {
+      return res.status(404).json({ message: "Question not found" });
+    }
+
+    const question = await Question.findById(req.params.questionId).lean();
+    if (!question) return res.status(404).json({ message: "Question not found" });
+    const test = await Test.findById(question.testId).lean();
+    if (!test) return res.status(404).json({ message: "Test not found" });
+
+    const pending = await Regrade.exists({ questionId: question._id, status: { $in: ["queued", "running"] } });
+    if (pending) {
+      return res.status(409).json({ message: "A re-grade for this question is already in progress" });
+    }
+
+    const before = questionKeyState(question);
+    const after = { ...before };
+    if (action === "change_key") {
+      if (!OPTION_KEYS.includes(correctOption)) {
+        return res.status(400).json({ message: `correctOption must be one of ${OPTION_KEYS.join(", ")}` });
+      }
+      after.correctOption = correctOption;
+      after.acceptedOptions = [];
+    } else if (action === "accept_multiple") {
+      if (!Array.isArray(acceptedOptions) || acceptedOptions.length < 2 || !acceptedOptions.every(o => OPTION_KEYS.includes(o))) {
+        return res.status(400).json({ message: "acceptedOptions must list at least two valid options" });
+      }
+      const accepted = [...new Set(acceptedOptions)];
+      after.correctOption = accepted.includes(question.correctOption) ? question.correctOption : accepted[0];
+      after.acceptedOptions = accepted;
+    } else {
+      if (!["award_all", "remove"].includes(dropMode)) {
+        return res.status(400).json({ message: "dropMode must be 'award_all' or 'remove'" });
+      }
+      after.dropped = { mode: dropMode, reason: reason.trim() };
+    }
+
+    const regrade = await Regrade.create({
+      testId: test._id,
+      questionId: question._id,
+      phase: question.phase,
+      action,
+      before,
+      after,
+      reason: reason.trim(),
+      createdBy: req.user.uid
+    });
+
+    res.status(202).json({
+      ...formatRegrade(regrade.toObject()),
+      message: "Re-grade queued. Results are updated by the re-grade job within a few minutes."
+    });
+  } catch (err) {
+    console.error("/reviewer/regrade error:", err.message);
+    res.status(500).json({ message: "Failed to queue re-grade" });
   }
 });
 
-app.get("/user/analytics/attempts", userAuth, async (req, res) => {
+app.post("/reviewer/regrades/:regradeId/retry", userAuth, requireClaim("admin"), async (req, res) => {
   try {
     await connectDB();
-    const uid = req.user.uid;
-    const limit = parseInt(req.query.limit) || 30;
+    if (!mongoose.isValidObjectId(req.params.regradeId)) return res.status(404).json({ message: "Re-grade not found" });
+    const regrade = await Regrade.findOneAndUpdate(
+      { _id: req.params.regradeId, status: "failed" },
+      { $set: { status: "queued", lockedAt: null, error: null } },
+      { new: true }
+    ).lean();
+    if (!regrade) return res.status(404).json({ message: "No failed re-grade found" });
+    res.json(formatRegrade(regrade));
+  } catch (err) {
+    console.error("/reviewer/regrades/retry error:", err.message);
+    res.status(500).json({ message: "Failed to retry re-grade" });
+  }
+});
 
-    const attempts = await Result.find({ userId: uid, isLate: false })
-      .sort({ submittedAt: -1 })
-      .limit(limit)
-      .lean();
+app.get("/cron/regrades", cronAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const processed = await processRegradeQueue();
+    res.json({ success: true, processed });
+  } catch (err) {
+    console.error("/cron/regrades error:", err.message);
+    res.status(500).json({ message: "Re-grade job failed" });
+  }
+});
 
-    res.json(attempts.map(a => ({
-      _id: a._id.toString(),
-      testId: a.testId.toString(),
-      testTitle: a.testTitle || `Test ${a.testId.toString().substring(0, 8)}`,
-      phase: a.phase,
-      score: a.score,
-      correct: a.correct,
-      incorrect: a.incorrect,
-      unattempted: a.unattempted,
-      totalQuestions: a.totalQuestions,
-      submittedAt: a.submittedAt.toISOString(),
-      timeTakenSeconds: a.timeTakenSeconds || 0,
-    })));
+app.get("/reviewer/regrades/:testId", userAuth, requireClaim("admin", "reviewer"), async (req, res) => {
+  try {
+    await connectDB();
+    if (!mongoose.isValidObjectId(req.params.testId)) return res.status(404).json({ message: "Test not found" });
+    const regrades = await Regrade.find({ testId: req.params.testId }).sort({ createdAt: -1 }).lean();
+    res.json(regrades.map(formatRegrade));
   } catch (err) {
-    console.error("/user/analytics/attempts error:", err.message);
-    res.status(500).json({ message: "Failed to fetch attempts" });
+    console.error("/reviewer/regrades error:", err.message);
+    res.status(500).json({ message: "Failed to fetch re-grades" });
   }
 });
 
-app.get("/", async (req, res) => {
+const STREAK_FREEZE_EVERY_DAYS = 7;
+const STREAK_FREEZE_MAX_TOKENS = 2;
+const TOP_RANK_BADGE_CUTOFF = 100;
+
+const ACHIEVEMENTS = [
+  { key: "first_test", title: "First step", description: "Submit your first paid test on time", target: 1 },
+  { key: "tests_in_a_row_10", title: "Ten in a row", description: "Submit 10 consecutive scheduled tests on time", target: 10 },
+  { key: "streak_7", title: "Week warrior", description: "Meet your daily goal 7 days in a row", target: 7 },
+  { key: "streak_30", title: "Unbreakable", description: "Meet your daily goal 30 days in a row", target: 30 },
+  { key: "first_top_100", title: "Top 100", description: `Earn a top-${TOP_RANK_BADGE_CUTOFF} rank in a test`, target: 1 },
+  { key: "csat_accuracy_90", title: "CSAT sharpshooter", description: "Score 90% accuracy in a CSAT paper (20+ attempted)", target: 1 }
+];
+
+function istDayDiff(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+function addIstDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().split("T")[0];
+}
+
+function streakStatus(engagement, today) {
+  const last = engagement.lastStreakDate;
+  if (!last) return { currentStreak: 0, longestStreak: engagement.longestStreak || 0, atRisk: false };
+  const missed = istDayDiff(last, today) - 1;
+  const alive = missed <= 0 || missed <= (engagement.freezeTokens || 0);
+  return {
+    currentStreak: alive ? engagement.currentStreak : 0,
+    longestStreak: engagement.longestStreak || 0,
+    atRisk: alive && missed >= 0 && last !== today
+  };
+}
+
+async function ensureEngagement(userId) {
+  const existing = await Engagement.findOne({ userId });
+  if (existing) return existing;
+
+  const results = await Result.find({ userId }).select("submittedAt isLate").lean();
+  const topEntry = await RankEntry.findOne({ userId, rank: { $ne: null, $lte: TOP_RANK_BADGE_CUTOFF } })
+    .select("testId scope rank")
+    .lean();
+  const days = [...new Set(results.map(r => istDateString(r.submittedAt)))].sort();
+  let currentStreak = 0;
+  let longestStreak = 0;
+  days.forEach((day, idx) => {
+    currentStreak = idx > 0 && istDayDiff(days[idx - 1], day) === 1 ? currentStreak + 1 : 1;
+    longestStreak = Math.max(longestStreak, currentStreak);
+  });
+
+  try {
+    return await Engagement.create({
+      userId,
+      currentStreak,
+      longestStreak,
+      lastStreakDate: days[days.length - 1],
+      badges: [
+        ...(results.some(r => !r.isLate) ? [{ key: "first_test", awardedAt: new Date(), context: { backfilled: true } }] : []),
+        ...(topEntry ? [{ key: "first_top_100", awardedAt: new Date(), context: { testId: topEntry.testId, scope: topEntry.scope, rank: topEntry.rank, backfilled: true } }] : [])
+      ]
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return Engagement.findOne({ userId });
+  }
+}
+
+async function awardBadge(userId, key, context) {
+  const res = await Engagement.updateOne(
+    { userId, "badges.key": { $ne: key } },
+    { $push: { badges: { key, awardedAt: new Date(), context } } }
+  );
+  return res.modifiedCount > 0 ? key : null;
+}
+
+async function awardTopRankBadges(test, entries) {
+  const best = new Map();
+  entries
+    .filter(e => e.rank !== null && e.rank <= TOP_RANK_BADGE_CUTOFF)
+    .forEach(e => {
+      if (!best.has(e.userId) || e.rank < best.get(e.userId).rank) best.set(e.userId, e);
+    });
+  if (!best.size) return;
+
+  const awardedAt = new Date();
+  await Engagement.bulkWrite([...best.values()].map(e => ({
+    updateOne: {
+      filter: { userId: e.userId, "badges.key": { $ne: "first_top_100" } },
+      update: { $push: { badges: { key: "first_top_100", awardedAt, context: { testId: test._id, scope: e.scope, rank: e.rank } } } }
+    }
+  })), { ordered: false });
+}
+
+async function advanceStreak(userId, date) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const engagement = await Engagement.findOne({ userId }).lean();
+    const last = engagement.lastStreakDate;
+    if (last && last >= date) return engagement;
+
+    const missed = last ? istDayDiff(last, date) - 1 : 0;
+    const frozen = missed > 0 && missed <= engagement.freezeTokens ? missed : 0;
+    const currentStreak = last && (missed === 0 || frozen) ? engagement.currentStreak + 1 : 1;
+    let freezeTokens = engagement.freezeTokens - frozen;
+    if (currentStreak % STREAK_FREEZE_EVERY_DAYS === 0) {
+      freezeTokens = Math.min(STREAK_FREEZE_MAX_TOKENS, freezeTokens + 1);
+    }
+
+    const updated = await Engagement.findOneAndUpdate(
+      { userId, lastStreakDate: last ?? null, freezeTokens: engagement.freezeTokens },
+      {
+        $set: { currentStreak, lastStreakDate: date, freezeTokens },
+        $max: { longestStreak: currentStreak },
+        $inc: { freezesUsed: frozen }
+      },
+      { new: true }
+    ).lean();
+    if (!updated) continue;
+
+    for (let i = 1; i <= frozen; i++) {
+      await EngagementDay.updateOne(
+        { userId, date: addIstDays(last, i) },
+        { $set: { frozen: true } },
+        { upsert: true }
+      );
+    }
+    return updated;
+  }
+  return null;
+}
+
+async function recordEngagement(userId, { questions = 0, at = new Date(), result, test } = {}) {
+  try {
+    let engagement = (await ensureEngagement(userId)).toObject();
+    const date = istDateString(at);
+    const day = await EngagementDay.findOneAndUpdate(
+      { userId, date },
+      { $inc: { tests: 1, questions } },
+      { upsert: true, new: true }
+    );
+
+    const goal = engagement.dailyGoal || {};
+    const goalMet = day.tests >= (goal.tests ?? 1) && day.questions >= (goal.questions ?? 0);
+    if (goalMet && !day.goalMet) {
+      const claimed = await EngagementDay.updateOne({ _id: day._id, goalMet: false }, { $set: { goalMet: true } });
+      if (claimed.modifiedCount) engagement = await advanceStreak(userId, date) || engagement;
+    }
+
+    if (result && test && !result.isLate && !engagement.lastOnTimeTestId?.equals(test._id)) {
+      const previous = await Test.findOne({ testType: "paid", startTime: { $lt: test.startTime } })
+        .sort({ startTime: -1 })
+        .select("_id")
+        .lean();
+      const continued = previous && engagement.lastOnTimeTestId?.equals(previous._id);
+      engagement = await Engagement.findOneAndUpdate(
+        continued ? { userId, lastOnTimeTestId: previous._id } : { userId, lastOnTimeTestId: { $ne: test._id } },
+        continued
+          ? { $inc: { consecutiveTests: 1 }, $set: { lastOnTimeTestId: test._id } }
+          : { $set: { consecutiveTests: 1, lastOnTimeTestId: test._id } },
+        { new: true }
+      ).lean() || engagement;
+    }
+
+    const awarded = [];
+    const award = async (key, context) => {
+      const granted = await awardBadge(userId, key, context);
+      if (granted) awarded.push(granted);
+    };
+    if (result && !result.isLate) await award("first_test", { testId: result.testId });
+    if (engagement.consecutiveTests >= 10) await award("tests_in_a_row_10", { testId: result?.testId });
+    if (engagement.currentStreak >= 7) await award("streak_7", { date });
+    if (engagement.currentStreak >= 30) await award("streak_30", { date });
+    if (result && !result.isLate && result.phase === "CSAT" && result.attempted >= 20 && result.correct / result.attempted >= 0.9) {
+      await award("csat_accuracy_90", { testId: result.testId, accuracy: Math.round((result.correct / result.attempted) * 1000) / 10 });
+    }
+    return awarded;
+  } catch (err) {
+    console.error("engagement update error:", err.message);
+    return [];
+  }
+}
+
+function achievementProgress(key, engagement, streak) {
+  switch (key) {
+    case "tests_in_a_row_10": return engagement.consecutiveTests || 0;
+    case "streak_7":
+    case "streak_30": return streak.currentStreak;
+    default: return 0;
+  }
+}
+
+app.get("/user/achievements", userAuth, async (req, res) => {
   try {
     await connectDB();
-    const today = new Date().toISOString().split("T")[0];
+    const uid = req.user.uid;
+    await ensureEngagement(uid);
+    const engagement = await Engagement.findOne({ userId: uid }).lean();
+
+    const today = istDateString(new Date());
+    const streak = streakStatus(engagement, today);
+    const todayProgress = await EngagementDay.findOne({ userId: uid, date: today }).lean();
+    const earned = new Map((engagement.badges || []).map(b => [b.key, b]));
+
     res.json({
-      status: "User Backend Running",
-      firebaseReady: firebaseInitialized,
-      mongoReady: mongoose.connection.readyState === 1 ? "connected" : "not connected",
-      currentServerDateUTC: today,
+      streak: {
+        ...streak,
+        lastActiveDate: engagement.lastStreakDate || null,
+        freezeTokens: engagement.freezeTokens,
+        freezesUsed: engagement.freezesUsed
+      },
+      dailyGoal: {
+        tests: engagement.dailyGoal?.tests ?? 1,
+        questions: engagement.dailyGoal?.questions ?? 0,
+        today: {
+          date: today,
+          tests: todayProgress?.tests || 0,
+          questions: todayProgress?.questions || 0,
+          goalMet: !!todayProgress?.goalMet
+        }
+      },
+      badges: ACHIEVEMENTS.map(a => {
+        const badge = earned.get(a.key);
+        return {
+          key: a.key,
+          title: a.title,
+          description: a.description,
+          earned: !!badge,
+          awardedAt: badge?.awardedAt || null,
+          progress: badge ? a.target : Math.min(a.target, achievementProgress(a.key, engagement, streak)),
+          target: a.target
+        };
+      })
     });
   } catch (err) {
-    res.status(500).json({ status: "Error", error: err.message });
+    console.error("/user/achievements error:", err.message);
+    res.status(500).json({ message: "Failed to fetch achievements" });
   }
 });
 
-app.get("/user/today-test", userAuth, async (req, res) => {
+app.patch("/user/daily-goal", userAuth, async (req, res) => {
   try {
     await connectDB();
-    const now = new Date();
-    const istNow = nowIST();
-    const todayIST = istNow.toISOString().split("T")[0];
+    const { tests, questions } = req.body || {};
+    const update = {};
+    if (tests !== undefined) {
+      if (!Number.isInteger(tests) || tests < 0 || tests > 10) {
+        return res.status(400).json({ message: "tests must be an integer between 0 and 10" });
+      }
+      update["dailyGoal.tests"] = tests;
+    }
+    if (questions !== undefined) {
+      if (!Number.isInteger(questions) || questions < 0 || questions > 500) {
+        return res.status(400).json({ message: "questions must be an integer between 0 and 500" });
+      }
+      update["dailyGoal.questions"] = questions;
+    }
+    if (!Object.keys(update).length) {
+      return res.status(400).json({ message: "Provide tests and/or questions" });
+    }
+    const current = await ensureEngagement(req.user.uid);
+    const nextTests = update["dailyGoal.tests"] ?? current.dailyGoal?.tests ?? 1;
+    const nextQuestions = update["dailyGoal.questions"] ?? current.dailyGoal?.questions ?? 0;
+    if (nextTests === 0 && nextQuestions === 0) {
+      return res.status(400).json({ message: "Daily goal must require at least one test or question" });
+    }
 
-    const test = await Test.findOne({ date: todayIST, testType: "paid" });
-    if (!test) {
-      return res.status(404).json({ message: "No paid test available today" });
+    const engagement = await Engagement.findOneAndUpdate(
+      { userId: req.user.uid },
+      { $set: update },
+      { new: true, runValidators: true }
+    ).lean();
+
+    res.json({
+      dailyGoal: { tests: engagement.dailyGoal.tests, questions: engagement.dailyGoal.questions },
+      message: "Daily goal updated. It applies from your next activity."
+    });
+  } catch (err) {
+    console.error("/user/daily-goal error:", err.message);
+    res.status(500).json({ message: "Failed to update daily goal" });
+  }
+});
+
+const NOTIFY_LEAD_MS = 15 * 60 * 1000;
+const RANK_NOTIFY_WINDOW_MS = DAY_MS;
+const NOTIFICATION_TYPES = {
+  test_starting: "testStarting",
+  test_closing: "testClosing",
+  ranks_revealed: "ranksRevealed"
+};
+const INVALID_TOKEN_CODES = ["messaging/registration-token-not-registered", "messaging/invalid-registration-token", "messaging/invalid-argument"];
+
+const FCM_BATCH_SIZE = 500;
+
+const fcmTransport = {
+  name: "fcm",
+  async send(messages) {
+    if (!firebaseInitialized) throw new Error("Firebase Admin is not initialized");
+    const results = [];
+    for (let i = 0; i < messages.length; i += FCM_BATCH_SIZE) {
+      const batch = messages.slice(i, i + FCM_BATCH_SIZE);
+      const response = await admin.messaging().sendEach(batch.map(({ token, title, body, data }) => ({
+        token,
+        notification: { title, body },
+        data
+      })));
+      response.responses.forEach(r => results.push({ success: r.success, code: r.error?.code }));
     }
+    return results;
+  }
+};
 
-    const startIST = new Date(test.startTime.getTime() + IST_OFFSET_MS);
-    const endIST   = new Date(test.endTime.getTime() + IST_OFFSET_MS);
+function createFakeTransport() {
+  const sent = [];
+  return {
+    name: "fake",
+    sent,
+    async send(messages) {
+      const at = new Date();
+      messages.forEach(message => sent.push({ ...message, at }));
+      return messages.map(() => ({ success: true }));
+    }
+  };
+}
 
-    const existingPhases = ["GS"];
-    if (test.isSundayFullTest) existingPhases.push("CSAT");
+function notificationTransport() {
+  if (!app.get("notificationTransport")) {
+    app.set("notificationTransport", process.env.NOTIFICATION_TRANSPORT === "fake" ? createFakeTransport() : fcmTransport);
+  }
+  return app.get("notificationTransport");
+}
 
-    const userResults = await Result.find({
-      userId: req.user.uid,
-      testId: test._id,
-      phase: { $in: existingPhases },
-      isLate: false
-    }).lean();
+function parseClock(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || "");
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
 
-    const submittedPhases = userResults.map(r => r.phase);
-    const hasSubmitted = submittedPhases.length > 0;
+function inQuietHours(setting, at = new Date()) {
+  const start = parseClock(setting?.quietHours?.start);
+  const end = parseClock(setting?.quietHours?.end);
+  if (start === null || end === null || start === end) return false;
+  const ist = new Date(at.getTime() + IST_OFFSET_MS);
+  const minutes = ist.getUTCHours() * 60 + ist.getUTCMinutes();
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
 
-    if (istNow < startIST) {
-      return res.json({
-        status: "not_started",
-        title: test.title,
-        startTimeIST: startIST.toISOString(),
-        endTimeIST: endIST.toISOString(),
-        testId: test._id.toString(),
-        totalQuestions: test.totalQuestions,
-        isSundayFullTest: !!test.isSundayFullTest,
-        hasSubmitted: false,
-        submittedPhases: [],
-        message: "Test has not started yet"
-      });
-    }
+function formatNotificationSetting(setting) {
+  return {
+    testStarting: setting?.testStarting ?? true,
+    testClosing: setting?.testClosing ?? true,
+    ranksRevealed: setting?.ranksRevealed ?? true,
+    quietHours: setting?.quietHours?.start && setting?.quietHours?.end
+      ? { start: setting.quietHours.start, end: setting.quietHours.end, timezone: "Asia/Kolkata" }
+      : null
+  };
+}
 
-    if (istNow > endIST) {
-      return res.json({
-        status: "archived",
-        title: test.title,
-        endTimeIST: endIST.toISOString(),
-        startTimeIST: startIST.toISOString(),
-        testId: test._id.toString(),
-        totalQuestions: test.totalQuestions,
-        isSundayFullTest: !!test.isSundayFullTest,
-        hasSubmitted,
-        submittedPhases,
-        canReview: hasSubmitted,
-        message: "Today's test has ended and is now archived."
-      });
+async function claimNotificationLogs(notifications) {
+  if (!notifications.length) return new Set();
+  const ops = notifications.map(({ userId, type, testId, key, title, body }) => ({
+    updateOne: {
+      filter: { key },
+      update: { $setOnInsert: { key, userId, type, testId, title, body, status: "sending" } },
+      upsert: true
     }
+  }));
+  let upsertedIds;
+  try {
+    upsertedIds = (await NotificationLog.bulkWrite(ops, { ordered: false })).upsertedIds;
+  } catch (err) {
+    if (err.code !== 11000 || !err.result) throw err;
+    upsertedIds = err.result.upsertedIds;
+  }
+  return new Set(Object.keys(upsertedIds || {}).map(idx => notifications[idx].key));
+}
 
-    const questions = await Question.find({ testId: test._id })
-      .select("-correctOption")
-      .sort({ questionNumber: 1 })
-      .lean();
+async function notifyUsers(notifications, settings, now = new Date()) {
+  const outcomes = new Map();
+  const eligible = notifications.filter(n => {
+    const setting = settings.get(n.userId);
+    if (setting && setting[NOTIFICATION_TYPES[n.type]] === false) outcomes.set(n.key, "disabled");
+    else if (inQuietHours(setting, now)) outcomes.set(n.key, "quiet_hours");
+    else return true;
+    return false;
+  });
+
+  const claimed = await claimNotificationLogs(eligible);
+  const pending = eligible.filter(n => {
+    if (claimed.has(n.key)) return true;
+    outcomes.set(n.key, "duplicate");
+    return false;
+  });
+  if (!pending.length) return outcomes;
+
+  const devices = await DeviceToken.find({ userId: { $in: [...new Set(pending.map(n => n.userId))] }, disabledAt: null })
+    .select("userId token")
+    .lean();
+  const tokensByUser = new Map();
+  devices.forEach(d => {
+    if (!tokensByUser.has(d.userId)) tokensByUser.set(d.userId, []);
+    tokensByUser.get(d.userId).push(d.token);
+  });
+
+  const withoutDevices = pending.filter(n => !tokensByUser.has(n.userId));
+  if (withoutDevices.length) {
+    await NotificationLog.updateMany({ key: { $in: withoutDevices.map(n => n.key) } }, { $set: { status: "no_devices" } });
+    withoutDevices.forEach(n => outcomes.set(n.key, "no_devices"));
+  }
 
-    const response = {
-      status: "active",
-      testId: test._id.toString(),
-      title: test.title,
-      totalQuestions: test.totalQuestions,
-      startTimeIST: startIST.toISOString(),
-      endTimeIST: endIST.toISOString(),
-      isSundayFullTest: !!test.isSundayFullTest,
-      hasSubmitted,
-      submittedPhases,
+  const sending = pending.filter(n => tokensByUser.has(n.userId));
+  if (!sending.length) return outcomes;
+
+  const messages = sending.flatMap(n => tokensByUser.get(n.userId).map(token => ({
+    key: n.key,
+    token,
+    title: n.title,
+    body: n.body,
+    data: { type: n.type, ...(n.testId ? { testId: n.testId.toString() } : {}), ...(n.data || {}) }
+  })));
+
+  const transport = notificationTransport();
+  let results;
+  try {
+    results = await transport.send(messages);
+  } catch (err) {
+    await NotificationLog.updateMany(
+      { key: { $in: sending.map(n => n.key) } },
+      { $set: { status: "failed", transport: transport.name, error: err.message } }
+    );
+    sending.forEach(n => outcomes.set(n.key, "failed"));
+    return outcomes;
+  }
+
+  const successByKey = new Map();
+  const invalid = [];
+  messages.forEach((m, idx) => {
+    const r = results[idx] || {};
+    if (r.success) successByKey.set(m.key, (successByKey.get(m.key) || 0) + 1);
+    else if (INVALID_TOKEN_CODES.includes(r.code)) invalid.push(m.token);
+  });
+  if (invalid.length) {
+    await DeviceToken.updateMany(
+      { token: { $in: invalid } },
+      { $set: { disabledAt: now, disabledReason: "invalid_token" } }
+    );
+  }
+
+  await NotificationLog.bulkWrite(sending.map(n => {
+    const successCount = successByKey.get(n.key) || 0;
+    outcomes.set(n.key, successCount > 0 ? "sent" : "failed");
+    return {
+      updateOne: {
+        filter: { key: n.key },
+        update: { $set: { status: successCount > 0 ? "sent" : "failed", successCount, transport: transport.name, sentAt: now } }
+      }
     };
+  }), { ordered: false });
 
-    if (test.isSundayFullTest) {
-      const gs   = questions.filter(q => q.phase === "GS");
-      const csat = questions.filter(q => q.phase === "CSAT");
-      response.phases = {
-        GS:   { count: gs.length,   questions: gs   },
-        CSAT: { count: csat.length, questions: csat },
+  return outcomes;
+}
+
+async function loadNotificationSettings(userIds) {
+  const settings = await NotificationSetting.find({ userId: { $in: userIds } }).lean();
+  return new Map(settings.map(s => [s.userId, s]));
+}
+
+async function dispatchNotifications(now = new Date()) {
+  const summary = { test_starting: {}, test_closing: {}, ranks_revealed: {} };
+  const tally = (type, outcomes) => {
+    outcomes.forEach(outcome => {
+      summary[type][outcome] = (summary[type][outcome] || 0) + 1;
+    });
+  };
+
+  const starting = await Test.find({
+    testType: "paid",
+    startTime: { $gt: now, $lte: new Date(now.getTime() + NOTIFY_LEAD_MS) }
+  }).lean();
+  if (starting.length) {
+    const deviceUsers = await DeviceToken.distinct("userId", { disabledAt: null });
+    const entitled = await Entitlement.distinct("userId", {
+      userId: { $in: deviceUsers },
+      status: "active",
+      features: "paid_tests",
+      startsAt: { $lte: now },
+      expiresAt: { $gt: now }
+    });
+    const settings = await loadNotificationSettings(entitled);
+    for (const test of starting) {
+      const minutes = Math.max(1, Math.round((test.startTime.getTime() - now.getTime()) / 60000));
+      tally("test_starting", await notifyUsers(entitled.map(userId => ({
+        userId,
+        type: "test_starting",
+        testId: test._id,
+        key: `test_starting:${test._id}:${userId}`,
+        title: `${test.title} starts in ${minutes} min`,
+        body: `Starts at ${formatISTLabel(test.startTime)}. Be ready to attempt it on time for a rank.`
+      })), settings, now));
+    }
+  }
+
+  const closing = await Attempt.find({
+    status: "in_progress",
+    ranked: true,
+    deadline: { $gt: now, $lte: new Date(now.getTime() + NOTIFY_LEAD_MS) }
+  }).lean();
+  if (closing.length) {
+    const tests = await Test.find({ _id: { $in: closing.map(a => a.testId) } }).select("title").lean();
+    const titles = new Map(tests.map(t => [t._id.toString(), t.title]));
+    const settings = await loadNotificationSettings([...new Set(closing.map(a => a.userId))]);
+    tally("test_closing", await notifyUsers(closing.map(attempt => {
+      const minutes = Math.max(1, Math.round((attempt.deadline.getTime() - now.getTime()) / 60000));
+      return {
+        userId: attempt.userId,
+        type: "test_closing",
+        testId: attempt.testId,
+        key: `test_closing:${attempt._id}`,
+        title: `${minutes} min left to submit ${attempt.phase}`,
+        body: `Your ${titles.get(attempt.testId.toString()) || "test"} attempt is not submitted yet. Submit before the deadline to be ranked.`,
+        data: { phase: attempt.phase, attemptId: attempt._id.toString() }
       };
-    } else {
-      response.questions = questions;
+    }), settings, now));
+  }
+
+  const recent = await Test.find({
+    testType: "paid",
+    endTime: { $lte: now, $gte: new Date(now.getTime() - RANK_NOTIFY_WINDOW_MS - 2 * DAY_MS) }
+  }).lean();
+  const revealed = recent.filter(t => {
+    const revealAt = resultRevealAt(t).getTime();
+    return revealAt <= now.getTime() && revealAt > now.getTime() - RANK_NOTIFY_WINDOW_MS;
+  });
+  for (const test of revealed) {
+    const meta = await ensureRankSnapshot(test);
+    if (!meta) continue;
+    const entries = await RankEntry.find({ testId: test._id, version: meta.version, rank: { $ne: null } }).lean();
+    const byUser = new Map();
+    entries.forEach(e => {
+      if (!byUser.has(e.userId)) byUser.set(e.userId, {});
+      byUser.get(e.userId)[e.scope] = e;
+    });
+
+    const deviceUsers = new Set(await DeviceToken.distinct("userId", { userId: { $in: [...byUser.keys()] }, disabledAt: null }));
+    const recipients = [...byUser.keys()].filter(uid => deviceUsers.has(uid));
+    const settings = await loadNotificationSettings(recipients);
+    tally("ranks_revealed", await notifyUsers(recipients.map(userId => {
+      const scopes = byUser.get(userId);
+      const headline = scopes.combined || scopes.GS || scopes.CSAT;
+      const label = scopes.combined ? "overall" : headline.scope;
+      return {
+        userId,
+        type: "ranks_revealed",
+        testId: test._id,
+        key: `ranks_revealed:${test._id}:${userId}`,
+        title: `Ranks are out for ${test.title}`,
+        body: `You ranked #${headline.rank} of ${headline.total} (${label}). Open the app to see your full scorecard.`,
+        data: { rank: String(headline.rank), scope: headline.scope }
+      };
+    }), settings, now));
+  }
+
+  return summary;
+}
+
+app.post("/user/devices", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const { token, platform } = req.body || {};
+    if (typeof token !== "string" || token.length < 20 || token.length > 4096) {
+      return res.status(400).json({ message: "A valid device token is required" });
+    }
+    if (!["android", "ios", "web"].includes(platform)) {
+      return res.status(400).json({ message: "platform must be 'android', 'ios' or 'web'" });
     }
 
-    res.json(response);
+    await DeviceToken.findOneAndUpdate(
+      { token },
+      {
+        $set: { userId: req.user.uid, platform, lastSeenAt: new Date() },
+        $unset: { disabledAt: "", disabledReason: "" }
+      },
+      { upsert: true, new: true }
+    );
+    const devices = await DeviceToken.countDocuments({ userId: req.user.uid, disabledAt: null });
+
+    res.json({ registered: true, devices, message: "Device registered for notifications" });
   } catch (err) {
-    console.error("/user/today-test error:", err.message);
-    res.status(500).json({ message: "Server error" });
+    console.error("/user/devices error:", err.message);
+    res.status(500).json({ message: "Failed to register device" });
   }
 });
 
-app.get("/user/submission-status/:testId", userAuth, async (req, res) => {
+app.post("/user/devices/unregister", userAuth, async (req, res) => {
   try {
     await connectDB();
-    const test = await Test.findById(req.params.testId);
-    if (!test) return res.status(404).json({ message: "Test not found" });
-
-    const phases = test.isSundayFullTest ? ["GS", "CSAT"] : ["GS"];
-
-    const userResults = await Result.find({
-      userId: req.user.uid,
-      testId: test._id,
-      phase: { $in: phases },
-      isLate: false
-    }).lean();
+    const { token } = req.body || {};
+    if (typeof token !== "string" || !token) {
+      return res.status(400).json({ message: "token is required" });
+    }
+    const removed = await DeviceToken.deleteOne({ token, userId: req.user.uid });
+    res.json({ removed: removed.deletedCount > 0 });
+  } catch (err) {
+    console.error("/user/devices/unregister error:", err.message);
+    res.status(500).json({ message: "Failed to unregister device" });
+  }
+});
 
-    const submittedPhases = userResults.map(r => r.phase);
-    const hasSubmitted = submittedPhases.length > 0;
-    const rankRevealNow = isRankRevealTime();
+app.get("/user/notification-preferences", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const setting = await NotificationSetting.findOne({ userId: req.user.uid }).lean();
+    res.json(formatNotificationSetting(setting));
+  } catch (err) {
+    console.error("/user/notification-preferences error:", err.message);
+    res.status(500).json({ message: "Failed to fetch notification preferences" });
+  }
+});
 
-    const response = {
-      hasSubmitted,
-      submittedPhases,
-      rankRevealTime: rankRevealTimeIST(),
-      rankRevealNow,
-    };
+app.patch("/user/notification-preferences", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const body = req.body || {};
+    const update = { $set: {}, $unset: {} };
 
-    if (hasSubmitted && rankRevealNow) {
-      const rankData = {};
-      for (const r of userResults) {
-        const better = await Result.countDocuments({
-          testId: test._id,
-          phase: r.phase,
-          isLate: false,
-          $or: [
-            { score: { $gt: r.score } },
-            { score: r.score, submittedAt: { $lt: r.submittedAt } }
-          ]
-        });
-        const total = await Result.countDocuments({
-          testId: test._id,
-          phase: r.phase,
-          isLate: false
-        });
-        rankData[r.phase] = {
-          score: Math.round(r.score * 100) / 100,
-          correct: r.correct,
-          incorrect: r.incorrect,
-          unattempted: r.unattempted,
-          rank: better + 1,
-          totalParticipants: total
-        };
+    for (const field of Object.values(NOTIFICATION_TYPES)) {
+      if (body[field] === undefined) continue;
+      if (typeof body[field] !== "boolean") {
+        return res.status(400).json({ message: `${field} must be true or false` });
       }
-      response.rankData = rankData;
-
-      if (test.isSundayFullTest && userResults.length === 2) {
-        const combinedScore = userResults.reduce((sum, r) => sum + r.score, 0);
-        const betterCombined = await Result.aggregate([
-          { $match: { testId: test._id, isLate: false, phase: { $in: ["GS", "CSAT"] } } },
-          { $group: { _id: "$userId", total: { $sum: "$score" } } },
-          { $match: { total: { $gt: combinedScore } } },
-          { $count: "count" }
-        ]);
-        const combinedRank = (betterCombined[0]?.count || 0) + 1;
-        const totalUsers = await Result.distinct("userId", {
-          testId: test._id,
-          isLate: false,
-          phase: { $in: ["GS", "CSAT"] }
-        }).then(ids => new Set(ids).size);
-
-        response.combinedRank = {
-          score: Math.round(combinedScore * 100) / 100,
-          rank: combinedRank,
-          totalParticipants: totalUsers
-        };
+      update.$set[field] = body[field];
+    }
+
+    if (body.quietHours === null) {
+      update.$unset.quietHours = "";
+    } else if (body.quietHours !== undefined) {
+      const { start, end } = body.quietHours || {};
+      if (parseClock(start) === null || parseClock(end) === null || start === end) {
+        return res.status(400).json({ message: "quietHours needs distinct start and end times as HH:MM (IST)" });
       }
+      update.$set.quietHours = { start, end };
     }
 
-    res.json(response);
+    if (!Object.keys(update.$set).length) delete update.$set;
+    if (!Object.keys(update.$unset).length) delete update.$unset;
+    if (!update.$set && !update.$unset) {
+      return res.status(400).json({ message: "No preferences to update" });
+    }
+
+    const setting = await NotificationSetting.findOneAndUpdate(
+      { userId: req.user.uid },
+      update,
+      { upsert: true, new: true }
+    ).lean();
+
+    res.json(formatNotificationSetting(setting));
   } catch (err) {
-    console.error("/user/submission-status error:", err.message);
-    res.status(500).json({ message: "Server error" });
+    console.error("/user/notification-preferences error:", err.message);
+    res.status(500).json({ message: "Failed to update notification preferences" });
   }
 });
 
-app.get("/user/overall-rank", userAuth, async (req, res) => {
+app.get("/cron/notifications", cronAuth, async (req, res) => {
   try {
     await connectDB();
-    const uid = req.user.uid;
-
-    const userResults = await Result.find({ userId: uid, isLate: false }).lean();
+    const summary = await dispatchNotifications();
+    res.json({ success: true, transport: notificationTransport().name, ...summary });
+  } catch (err) {
+    console.error("/cron/notifications error:", err.message);
+    res.status(500).json({ message: "Notification job failed" });
+  }
+});
 
-    if (userResults.length === 0) {
-      return res.json({
-        hasRank: false,
-        message: "Complete at least one paid test to see your overall rank.",
-        totalMarks: 0,
-        totalCorrect: 0,
-        testsGiven: 0,
-      });
-    }
+const EXPORT_CSV_TABLES = ["results", "answers", "practice", "analytics"];
 
-    let totalMarks = 0;
-    let totalCorrect = 0;
-    let testsGiven = userResults.length;
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-    userResults.forEach(r => {
-      totalMarks += (r.correct * 2) - (r.incorrect * (2 / 3));
-      totalCorrect += r.correct || 0;
-    });
+function toCsv(rows, columns) {
+  return [columns.join(","), ...rows.map(row => columns.map(c => csvCell(row[c])).join(","))].join("\r\n") + "\r\n";
+}
 
-    const betterUsers = await Result.aggregate([
-      {
-        $match: { isLate: false }
-      },
-      {
-        $group: {
-          _id: "$userId",
-          totalMarks: {
-            $sum: { $subtract: [{ $multiply: ["$correct", 2] }, { $multiply: ["$incorrect", 2 / 3] }] }
-          }
-        }
-      },
-      {
-        $match: { totalMarks: { $gt: totalMarks } }
+async function buildUserExport(uid) {
+  const [profile, results, freeResults, quizzes, revision, objections, entitlements, engagement, settings, devices] = await Promise.all([
+    UserProfile.findOne({ userId: uid }).lean(),
+    Result.find({ userId: uid }).sort({ submittedAt: 1 }).lean(),
+    FreeResult.find({ userId: uid }).sort({ submittedAt: 1 }).lean(),
+    PracticeQuiz.find({ userId: uid }).sort({ createdAt: 1 }).lean(),
+    RevisionItem.find({ userId: uid }).lean(),
+    Objection.find({ userId: uid }).sort({ createdAt: 1 }).lean(),
+    Entitlement.find({ userId: uid }).sort({ startsAt: 1 }).lean(),
+    Engagement.findOne({ userId: uid }).lean(),
+    NotificationSetting.findOne({ userId: uid }).lean(),
+    DeviceToken.find({ userId: uid }).select("platform lastSeenAt disabledAt createdAt").lean()
+  ]);
+
+  const testIds = [...new Set([...results, ...freeResults].map(r => r.testId.toString()))];
+  const tests = await Test.find({ _id: { $in: testIds } }).select("title date testType").lean();
+  const testsById = new Map(tests.map(t => [t._id.toString(), t]));
+  const questionIds = [...new Set(results.flatMap(r => (r.answers || []).map(a => a.questionId)))]
+    .filter(id => mongoose.isValidObjectId(id));
+  const questions = await Question.find({ _id: { $in: questionIds } }).select("questionNumber subject topic").lean();
+  const questionsById = new Map(questions.map(q => [q._id.toString(), q]));
+  const rankedByAttempt = await attemptRankedMap(results);
+
+  const resultRows = results.map(r => ({
+    resultId: r._id.toString(),
+    testId: r.testId.toString(),
+    testTitle: testsById.get(r.testId.toString())?.title || null,
+    testDate: testsById.get(r.testId.toString())?.date || null,
+    phase: r.phase,
+    mode: resultMode(r, rankedByAttempt),
+    ranked: !r.isLate && !r.excludedFromRanking,
+    score: Math.round(r.score * 100) / 100,
+    correct: r.correct,
+    incorrect: r.incorrect,
+    unattempted: r.unattempted,
+    totalQuestions: r.totalQuestions,
+    timeTakenSeconds: r.timeTakenSeconds,
+    startedAt: r.startedAt || null,
+    submittedAt: r.submittedAt,
+    scoreRevisions: (r.scoreHistory || []).length
+  }));
+
+  const answerRows = results.flatMap(r => (r.answers || []).map(a => {
+    const q = questionsById.get(a.questionId);
+    return {
+      resultId: r._id.toString(),
+      testId: r.testId.toString(),
+      phase: r.phase,
+      questionId: a.questionId,
+      questionNumber: q?.questionNumber ?? null,
+      subject: q?.subject || null,
+      topic: q?.topic || null,
+      selectedOption: a.selectedOption || null,
+      marks: a.marks ?? null
+    };
+  }));
+
+  const practiceRows = quizzes.map(q => ({
+    quizId: q._id.toString(),
+    status: q.status,
+    mode: q.filters?.mode || null,
+    subject: q.filters?.subject || null,
+    topic: q.filters?.topic || null,
+    score: q.score ?? null,
+    correct: q.correct ?? null,
+    incorrect: q.incorrect ?? null,
+    totalQuestions: q.questionIds.length,
+    createdAt: q.createdAt,
+    submittedAt: q.submittedAt || null
+  }));
+
+  const onTime = results.filter(r => !r.isLate);
+  const phases = ["GS", "CSAT"].map(phase => {
+    const rows = onTime.filter(r => r.phase === phase);
+    const correct = rows.reduce((sum, r) => sum + (r.correct || 0), 0);
+    const attempted = rows.reduce((sum, r) => sum + (r.correct || 0) + (r.incorrect || 0), 0);
+    return {
+      phase,
+      testsGiven: rows.length,
+      totalMarks: Math.round(rows.reduce((sum, r) => sum + (r.score || 0), 0) * 100) / 100,
+      bestScore: rows.length ? Math.round(Math.max(...rows.map(r => r.score || 0)) * 100) / 100 : null,
+      accuracy: attempted > 0 ? Math.round((correct / attempted) * 1000) / 10 : null,
+      totalTimeSeconds: rows.reduce((sum, r) => sum + (r.timeTakenSeconds || 0), 0)
+    };
+  });
+  const streak = engagement ? streakStatus(engagement, istDateString(new Date())) : { currentStreak: 0, longestStreak: 0 };
+
+  return {
+    json: {
+      exportedAt: new Date(),
+      userId: uid,
+      profile: profile ? formatProfile(profile) : null,
+      entitlements: entitlements.map(e => ({
+        planCode: e.planCode,
+        features: e.features,
+        startsAt: e.startsAt,
+        expiresAt: e.expiresAt,
+        status: e.status,
+        source: e.source
+      })),
+      results: resultRows.map(row => ({
+        ...row,
+        answers: answerRows.filter(a => a.resultId === row.resultId).map(({ resultId, testId, phase, ...a }) => a)
+      })),
+      freeResults: freeResults.map(r => ({
+        resultId: r._id.toString(),
+        testId: r.testId.toString(),
+        testTitle: testsById.get(r.testId.toString())?.title || null,
+        ranked: r.ranked !== false,
+        score: Math.round(r.score * 100) / 100,
+        correct: r.correct,
+        incorrect: r.incorrect,
+        totalQuestions: r.totalQuestions,
+        submittedAt: r.submittedAt,
+        answers: (r.answers || []).map(a => ({ questionId: a.questionId, selectedOption: a.selectedOption || null, marks: a.marks ?? null }))
+      })),
+      practiceQuizzes: practiceRows,
+      revisionItems: revision.map(r => ({
+        questionId: r.questionId.toString(),
+        reason: r.reason,
+        box: r.box,
+        dueAt: r.dueAt,
+        reviewCount: r.reviewCount,
+        mastered: r.mastered
+      })),
+      objections: objections.map(formatObjection),
+      analytics: {
+        testsGiven: onTime.length,
+        phases,
+        currentStreak: streak.currentStreak,
+        longestStreak: streak.longestStreak,
+        badges: (engagement?.badges || []).map(b => ({ key: b.key, awardedAt: b.awardedAt })),
+        dailyGoal: engagement?.dailyGoal || null
       },
-      {
-        $count: "count"
-      }
-    ]);
+      notificationPreferences: formatNotificationSetting(settings),
+      devices: devices.map(d => ({ platform: d.platform, lastSeenAt: d.lastSeenAt || null, active: !d.disabledAt, registeredAt: d.createdAt }))
+    },
+    tables: {
+      results: { rows: resultRows, columns: ["resultId", "testId", "testTitle", "testDate", "phase", "mode", "ranked", "score", "correct", "incorrect", "unattempted", "totalQuestions", "timeTakenSeconds", "startedAt", "submittedAt", "scoreRevisions"] },
+      answers: { rows: answerRows, columns: ["resultId", "testId", "phase", "questionId", "questionNumber", "subject", "topic", "selectedOption", "marks"] },
+      practice: { rows: practiceRows, columns: ["quizId", "status", "mode", "subject", "topic", "score", "correct", "incorrect", "totalQuestions", "createdAt", "submittedAt"] },
+      analytics: { rows: phases, columns: ["phase", "testsGiven", "totalMarks", "bestScore", "accuracy", "totalTimeSeconds"] }
+    }
+  };
+}
 
-    const rank = (betterUsers[0]?.count || 0) + 1;
+app.get("/user/export", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const format = req.query.format || "json";
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({ message: "format must be 'json' or 'csv'" });
+    }
+    const table = req.query.table || "results";
+    if (format === "csv" && !EXPORT_CSV_TABLES.includes(table)) {
+      return res.status(400).json({ message: `table must be one of ${EXPORT_CSV_TABLES.join(", ")}` });
+    }
 
-    const totalParticipants = await Result.distinct("userId", { isLate: false }).then(ids => new Set(ids).size);
+    const archive = await buildUserExport(req.user.uid);
+    const stamp = istDateString(new Date());
 
-    res.json({
-      hasRank: true,
-      rank,
-      totalMarks: Math.round(totalMarks * 100) / 100,
-      totalCorrect,
-      testsGiven,
-      totalParticipants,
-      percentile: totalParticipants > 0 ? Math.round(((totalParticipants - rank) / totalParticipants) * 100) : 0,
-      message: `Your overall rank among all participants`
-    });
+    if (format === "csv") {
+      const { rows, columns } = archive.tables[table];
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="export-${table}-${stamp}.csv"`);
+      return res.send(toCsv(rows, columns));
+    }
+
+    res.set("Content-Disposition", `attachment; filename="export-${stamp}.json"`);
+    res.json({ ...archive.json, csvTables: EXPORT_CSV_TABLES });
   } catch (err) {
-    console.error("/user/overall-rank error:", err.message);
-    res.status(500).json({ message: "Failed to calculate overall rank" });
+    console.error("/user/export error:", err.message);
+    res.status(500).json({ message: "Failed to export your data" });
   }
 });
 
-app.get("/leaderboard/global", async (req, res) => {
+app.delete("/user/account", userAuth, async (req, res) => {
   try {
     await connectDB();
-    const limit = parseInt(req.query.limit) || 50;
+    if (req.body?.confirm !== "DELETE") {
+      return res.status(400).json({ message: "Send { \"confirm\": \"DELETE\" } to permanently delete your account" });
+    }
 
-    const leaderboard = await Result.aggregate([
-      { $match: { isLate: false } },
-      {
-        $group: {
-          _id: "$userId",
-          totalMarks: {
-            $sum: { $subtract: [{ $multiply: ["$correct", 2] }, { $multiply: ["$incorrect", 2 / 3] }] }
-          },
-          totalCorrect: { $sum: "$correct" },
-          testsGiven: { $sum: 1 }
-        }
-      },
-      { $sort: { totalMarks: -1 } },
-      { $limit: limit },
-      {
-        $project: {
-          userId: "$_id",
-          totalMarks: { $round: ["$totalMarks", 2] },
-          totalCorrect: 1,
-          testsGiven: 1,
-          rank: { $literal: 0 }
-        }
-      }
+    const uid = req.user.uid;
+    const anonymousId = `deleted_${crypto.randomBytes(8).toString("hex")}`;
+    const now = new Date();
+
+    await Attempt.deleteMany({ userId: uid });
+    const testIds = await Result.distinct("testId", { userId: uid });
+
+    const memberships = await GroupMember.find({ userId: uid }).select("groupId").lean();
+    for (const m of memberships) {
+      await removeGroupMembership(m.groupId, uid);
+    }
+
+    const results = await Result.updateMany(
+      { userId: uid },
+      { $set: { userId: anonymousId, excludedFromRanking: true, answers: [], anonymizedAt: now } }
+    );
+    const freeResults = await FreeResult.updateMany(
+      { userId: uid },
+      { $set: { ranked: false, answers: [] }, $unset: { userId: "" } }
+    );
+    await Promise.all([
+      RankEntry.deleteMany({ userId: uid }),
+      LeaderboardEntry.deleteMany({ userId: uid }),
+      ResultFlag.deleteMany({ userId: uid }),
+      Objection.updateMany({ userId: uid }, { $set: { userId: anonymousId } }),
+      Entitlement.updateMany({ userId: uid }, { $set: { userId: anonymousId } }),
+      UserProfile.deleteOne({ userId: uid }),
+      PracticeQuiz.deleteMany({ userId: uid }),
+      RevisionItem.deleteMany({ userId: uid }),
+      Engagement.deleteOne({ userId: uid }),
+      EngagementDay.deleteMany({ userId: uid }),
+      DeviceToken.deleteMany({ userId: uid }),
+      NotificationSetting.deleteOne({ userId: uid }),
+      NotificationLog.deleteMany({ userId: uid }),
+      ScorecardShare.deleteMany({ userId: uid })
     ]);
 
-    leaderboard.forEach((entry, index) => {
-      entry.rank = index + 1;
-    });
+    for (const testId of testIds) {
+      await markRankSnapshotStale(testId);
+    }
+    knownProfiles.delete(uid);
+
+    try {
+      await admin.auth().deleteUser(uid);
+    } catch (err) {
+      if (err.code !== "auth/user-not-found") {
+        console.error("/user/account auth delete error:", err.message);
+        return res.status(502).json({
+          deleted: false,
+          dataDeleted: true,
+          retry: true,
+          message: "Your data has been deleted but we could not remove your sign-in. Please retry the deletion."
+        });
+      }
+    }
 
     res.json({
-      leaderboard,
-      totalParticipants: await Result.distinct("userId", { isLate: false }).then(ids => new Set(ids).size)
+      deleted: true,
+      resultsAnonymized: results.modifiedCount,
+      freeResultsAnonymized: freeResults.modifiedCount,
+      message: "Your account and personal data have been deleted. Leaderboards will update shortly."
     });
   } catch (err) {
-    console.error("/leaderboard/global error:", err.message);
-    res.status(500).json({ message: "Failed to fetch global leaderboard" });
+    console.error("/user/account error:", err.message);
+    res.status(500).json({ message: "Failed to delete account" });
   }
 });
 
-app.post("/user/submit-test/:testId", userAuth, async (req, res) => {
-  try {
-    await connectDB();
-
-    const { phase, answers, timeTakenSeconds } = req.body;
+const SCORECARD_SHARE_TTL_HOURS = parseInt(process.env.SCORECARD_SHARE_TTL_HOURS) || 7 * 24;
+
+async function buildScorecard(test, userId) {
+  const phases = test.isSundayFullTest ? ["GS", "CSAT"] : ["GS"];
+  const results = await Result.find({
+    userId,
+    testId: test._id,
+    phase: { $in: phases },
+    isLate: false
+  }).lean();
+  if (!results.length) return { error: "No on-time ranked attempt found", status: 404 };
+
+  const reveal = rankRevealFields(test);
+  if (!reveal.rankRevealNow) {
+    return { error: `Scorecards are available after ranks are revealed at ${reveal.rankRevealLabel}`, status: 403, reveal };
+  }
 
-    if (!["GS", "CSAT"].includes(phase)) {
-      return res.status(400).json({ message: "phase must be 'GS' or 'CSAT'" });
-    }
-    if (!Array.isArray(answers)) {
-      return res.status(400).json({ message: "answers must be an array of objects" });
-    }
+  const snapshot = await getUserRankEntries(test, userId);
+  if (!snapshot) return { error: "Ranks are being computed. Please check back in a moment.", status: 409, reveal };
 
-    const test = await Test.findById(req.params.testId);
-    if (!test || test.testType !== "paid") {
-      return res.status(404).json({ message: "Paid test not found" });
-    }
+  const questions = await Question.find({ testId: test._id, phase: { $in: phases } })
+    .select("phase subject correctOption acceptedOptions dropped")
+    .lean();
 
-    const now = new Date();
-    const istNow = nowIST();
-    const endIST = new Date(test.endTime.getTime() + IST_OFFSET_MS);
-    const isLate = istNow > endIST;
+  const phaseCards = {};
+  const topics = new Map();
+  for (const r of results) {
+    phaseCards[r.phase] = {
+      ...formatPhaseRank(r, snapshot.byScope[r.phase]),
+      totalQuestions: r.totalQuestions
+    };
 
-    const existing = await Result.findOne({
-      userId: req.user.uid,
-      testId: test._id,
-      phase,
-      isLate: false
+    const answered = new Map((r.answers || []).map(a => [a.questionId, a]));
+    questions.filter(q => q.phase === r.phase && q.dropped?.mode !== "remove").forEach(q => {
+      const key = topicKey(q, "subject");
+      if (!topics.has(key)) topics.set(key, { subject: key, questions: 0, attempted: 0, correct: 0, marks: 0 });
+      const bucket = topics.get(key);
+      const answer = answered.get(q._id.toString());
+      bucket.questions++;
+      if (answer?.selectedOption) bucket.attempted++;
+      if (answer?.selectedOption && answerCredited(q, answer.selectedOption)) bucket.correct++;
+      bucket.marks += answer?.marks || 0;
     });
-    if (existing) {
-      return res.status(403).json({
-        message: `You have already submitted ${phase} phase. You can only preview your attempt.`,
-        alreadySubmitted: true
-      });
-    }
+  }
 
-    let qFilter = { testId: test._id };
-    if (test.isSundayFullTest) {
-      qFilter.phase = phase;
-    }
+  const profile = await UserProfile.findOne({ userId }).lean();
 
-    const questions = await Question.find(qFilter).lean();
-    if (questions.length === 0) {
-      return res.status(404).json({ message: "No questions found for this phase" });
+  return {
+    card: {
+      testTitle: test.title,
+      testDate: test.date,
+      isSundayFullTest: !!test.isSundayFullTest,
+      displayName: profile?.displayName || anonymousDisplayName(userId),
+      publicName: profile?.hideFromPublicBoards ? "Anonymous aspirant" : (profile?.displayName || anonymousDisplayName(userId)),
+      phases: phaseCards,
+      combined: test.isSundayFullTest && results.length === 2
+        ? formatCombinedRank(snapshot.byScope.combined, snapshot.meta)
+        : null,
+      topics: [...topics.values()]
+        .map(t => ({
+          ...t,
+          marks: Math.round(t.marks * 100) / 100,
+          accuracy: t.attempted > 0 ? Math.round((t.correct / t.attempted) * 1000) / 10 : null
+        }))
+        .sort((a, b) => b.questions - a.questions),
+      rankStatus: reveal.rankStatus,
+      generatedAt: new Date()
     }
+  };
+}
 
-    let correct = 0;
-    let incorrect = 0;
-    let unattempted = 0;
-    let attempted = 0;
-
-    const savedAnswers = answers.map(ans => {
-      const q = questions.find(qq => qq._id.toString() === ans.questionId);
-      if (!q) return { questionId: ans.questionId, selectedOption: null };
-
-      const selected = ans.selectedOption;
-      if (!selected) {
-        unattempted++;
-        return { questionId: ans.questionId, selectedOption: null };
-      }
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[ch]);
+}
 
-      attempted++;
-      if (selected === q.correctOption) {
-        correct++;
-      } else {
-        incorrect++;
-      }
+function publicScorecard(card) {
+  return {
+    name: card.publicName,
+    testTitle: card.testTitle,
+    testDate: card.testDate,
+    phases: Object.fromEntries(Object.entries(card.phases).map(([phase, p]) => [phase, {
+      score: p.score,
+      correct: p.correct,
+      totalQuestions: p.totalQuestions,
+      rank: p.rank,
+      percentile: p.percentile,
+      totalParticipants: p.totalParticipants
+    }])),
+    combined: card.combined
+      ? { score: card.combined.score, rank: card.combined.rank, percentile: card.combined.percentile, totalParticipants: card.combined.totalParticipants }
+      : null,
+    rankStatus: card.rankStatus
+  };
+}
 
-      return { questionId: ans.questionId, selectedOption: selected };
-    });
+function renderScorecardHtml(summary) {
+  const headline = summary.combined || summary.phases.GS;
+  const description = headline?.rank
+    ? `Ranked #${headline.rank} of ${headline.totalParticipants} in ${summary.testTitle}`
+    : `Scored ${headline?.score ?? "-"} in ${summary.testTitle}`;
+  const rows = Object.entries(summary.phases).map(([phase, p]) => `
+      <tr><td>${escapeHtml(phase)}</td><td>${escapeHtml(p.score)}</td><td>${p.rank ? `#${escapeHtml(p.rank)} / ${escapeHtml(p.totalParticipants)}` : "-"}</td><td>${p.percentile !== null ? `${escapeHtml(p.percentile)}%` : "-"}</td></tr>`).join("");
+  const combined = summary.combined
+    ? `<p class="combined">Combined: ${escapeHtml(summary.combined.score)} &middot; ${summary.combined.rank ? `Rank #${escapeHtml(summary.combined.rank)} of ${escapeHtml(summary.combined.totalParticipants)}` : "Not ranked"}</p>`
+    : "";
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(summary.name)} - ${escapeHtml(summary.testTitle)}</title>
+  <meta property="og:title" content="${escapeHtml(summary.name)} - ${escapeHtml(summary.testTitle)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <style>
+    body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; background: #f1f5f9; margin: 0; padding: 24px; }
+    .card { max-width: 420px; margin: 0 auto; background: #fff; border-radius: 16px; overflow: hidden; box-shadow: 0 8px 24px rgba(15, 23, 42, .12); }
+    header { background: #1e3a8a; color: #fff; padding: 20px 24px; }
+    header small { color: #bfdbfe; letter-spacing: .08em; }
+    h1 { font-size: 20px; margin: 6px 0 4px; }
+    main { padding: 16px 24px 24px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 8px 4px; border-bottom: 1px solid #e2e8f0; }
+    th { color: #64748b; font-size: 12px; }
+    .combined { font-weight: 600; color: #1e3a8a; }
+    footer { color: #94a3b8; font-size: 12px; padding: 0 24px 16px; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <header>
+      <small>SCORECARD</small>
+      <h1>${escapeHtml(summary.testTitle)}</h1>
+      <div>${escapeHtml(summary.name)} &middot; ${escapeHtml(summary.testDate || "")}</div>
+    </header>
+    <main>
+      <table>
+        <tr><th>Phase</th><th>Score</th><th>Rank</th><th>Percentile</th></tr>${rows}
+      </table>
+      ${combined}
+    </main>
+    <footer>Ranks are ${escapeHtml(summary.rankStatus)}.</footer>
+  </div>
+</body>
+</html>`;
+}
 
-    const score = calculateNetScore(correct, incorrect);
+app.get("/user/scorecard/:testId", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    if (!mongoose.isValidObjectId(req.params.testId)) return res.status(404).json({ message: "Test not found" });
+    const test = await Test.findById(req.params.testId).lean();
+    if (!test || test.testType !== "paid") return res.status(404).json({ message: "Test not found" });
 
-    await Result.create({
-      userId: req.user.uid,
-      testId: test._id,
-      phase,
-      score,
-      correct,
-      incorrect,
-      unattempted,
-      attempted,
-      totalQuestions: questions.length,
-      submittedAt: now,
-      startedAt: now,
-      isLate,
-      answers: savedAnswers,
-      timeTakenSeconds: timeTakenSeconds || 0
-    });
+    const { card, error, status, reveal } = await buildScorecard(test, req.user.uid);
+    if (error) return res.status(status).json({ message: error, ...(reveal || {}) });
 
-    const rankRevealNow = isRankRevealTime();
+    if (req.query.format === "json") return res.json(card);
 
-    const responseBase = {
-      phase,
-      score: Math.round(score * 100) / 100,
-      correct,
-      incorrect,
-      unattempted,
-      totalQuestions: questions.length,
-      isLate,
-      ranked: !isLate,
-      rankRevealTime: rankRevealTimeIST(),
-      rankRevealNow,
-    };
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `attachment; filename="scorecard-${test.date || test._id}.pdf"`);
+    res.send(await renderScorecardPdf(card, { generatedLabel: formatISTLabel(card.generatedAt) }));
+  } catch (err) {
+    console.error("/user/scorecard error:", err.message);
+    res.status(500).json({ message: "Failed to generate scorecard" });
+  }
+});
 
-    if (isLate) {
-      return res.json({
-        ...responseBase,
-        message: "Test window closed. Attempt saved for practice only (no ranking)."
-      });
-    }
+app.post("/user/scorecard/:testId/share", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    if (!mongoose.isValidObjectId(req.params.testId)) return res.status(404).json({ message: "Test not found" });
+    const test = await Test.findById(req.params.testId).lean();
+    if (!test || test.testType !== "paid") return res.status(404).json({ message: "Test not found" });
 
-    if (!rankRevealNow) {
-      return res.json({
-        ...responseBase,
-        message: `Test submitted successfully! Your rank will be available at ${rankRevealTimeIST()} today.`,
-      });
-    }
+    const { error, status, reveal } = await buildScorecard(test, req.user.uid);
+    if (error) return res.status(status).json({ message: error, ...(reveal || {}) });
 
-    const betterCount = await Result.countDocuments({
+    const ttlSeconds = SCORECARD_SHARE_TTL_HOURS * 60 * 60;
+    const share = await ScorecardShare.create({
+      shareId: crypto.randomBytes(12).toString("base64url"),
+      userId: req.user.uid,
       testId: test._id,
-      phase,
-      isLate: false,
-      $or: [
-        { score: { $gt: score } },
-        { score: score, submittedAt: { $lt: now } }
-      ]
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000)
     });
+    const token = signToken({ purpose: "scorecard_share", sid: share.shareId }, ttlSeconds);
 
-    const totalRanked = await Result.countDocuments({
-      testId: test._id,
-      phase,
-      isLate: false
+    res.json({
+      shareId: share.shareId,
+      token,
+      path: `/share/scorecard/${token}`,
+      expiresAt: share.expiresAt,
+      message: "Anyone with this link can view your score summary until it expires."
     });
+  } catch (err) {
+    console.error("/user/scorecard/share error:", err.message);
+    res.status(500).json({ message: "Failed to create share link" });
+  }
+});
 
-    responseBase.rank = betterCount + 1;
-    responseBase.totalRankedParticipants = totalRanked;
-    responseBase.message = "Test submitted! Here is your rank.";
-
-    if (test.isSundayFullTest) {
-      const gsResult   = await Result.findOne({ userId: req.user.uid, testId: test._id, phase: "GS",   isLate: false });
-      const csatResult = await Result.findOne({ userId: req.user.uid, testId: test._id, phase: "CSAT", isLate: false });
-
-      if (gsResult && csatResult) {
-        const combinedScore = gsResult.score + csatResult.score;
-
-        const betterCombined = await Result.aggregate([
-          { $match: { testId: test._id, isLate: false, phase: { $in: ["GS", "CSAT"] } } },
-          { $group: { _id: "$userId", totalScore: { $sum: "$score" } } },
-          { $match: { totalScore: { $gt: combinedScore } } },
-          { $count: "count" }
-        ]);
-
-        const combinedRank = (betterCombined[0]?.count || 0) + 1;
-        const totalUnique = await Result.distinct("userId", {
-          testId: test._id,
-          isLate: false,
-          phase: { $in: ["GS", "CSAT"] }
-        }).then(arr => new Set(arr).size);
-
-        responseBase.combined = {
-          score: Math.round(combinedScore * 100) / 100,
-          rank: combinedRank,
-          totalParticipants: totalUnique
-        };
-      }
-    }
-
-    res.json(responseBase);
+app.get("/user/scorecard-shares", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const shares = await ScorecardShare.find({ userId: req.user.uid, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json(shares.map(s => ({
+      shareId: s.shareId,
+      testId: s.testId.toString(),
+      views: s.views,
+      expiresAt: s.expiresAt,
+      createdAt: s.createdAt
+    })));
   } catch (err) {
-    console.error("/user/submit-test error:", err.message);
-    res.status(500).json({ message: "Server error" });
+    console.error("/user/scorecard-shares error:", err.message);
+    res.status(500).json({ message: "Failed to fetch share links" });
   }
 });
 
-app.get("/user/my-rank/:testId", userAuth, async (req, res) => {
+app.delete("/user/scorecard-shares/:shareId", userAuth, async (req, res) => {
   try {
     await connectDB();
-    const test = await Test.findById(req.params.testId);
-    if (!test) return res.status(404).json({ message: "Test not found" });
+    const share = await ScorecardShare.findOneAndUpdate(
+      { shareId: req.params.shareId, userId: req.user.uid, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!share) return res.status(404).json({ message: "Share link not found" });
+    res.json({ shareId: share.shareId, revokedAt: share.revokedAt, message: "Share link revoked" });
+  } catch (err) {
+    console.error("/user/scorecard-shares revoke error:", err.message);
+    res.status(500).json({ message: "Failed to revoke share link" });
+  }
+});
 
-    const phases = test.isSundayFullTest ? ["GS", "CSAT"] : ["GS"];
+app.get("/share/scorecard/:token", async (req, res) => {
+  try {
+    const payload = verifyToken(req.params.token, "scorecard_share");
+    if (!payload) return res.status(404).json({ message: "This share link is invalid or has expired" });
 
-    const userResults = await Result.find({
-      userId: req.user.uid,
-      testId: test._id,
-      phase: { $in: phases },
-      isLate: false
-    }).lean();
+    await connectDB();
+    const share = await ScorecardShare.findOne({ shareId: payload.sid, revokedAt: null, expiresAt: { $gt: new Date() } }).lean();
+    if (!share) return res.status(404).json({ message: "This share link is invalid or has expired" });
+    const test = await Test.findById(share.testId).lean();
+    if (!test) return res.status(404).json({ message: "This share link is invalid or has expired" });
+
+    const { card, error } = await buildScorecard(test, share.userId);
+    if (error) return res.status(404).json({ message: "This scorecard is no longer available" });
+    await ScorecardShare.updateOne({ _id: share._id }, { $inc: { views: 1 } });
+
+    const summary = publicScorecard(card);
+    res.set("Cache-Control", "private, no-store");
+    if (req.query.format === "json") return res.json(summary);
+    res.type("html").send(renderScorecardHtml(summary));
+  } catch (err) {
+    console.error("/share/scorecard error:", err.message);
+    res.status(500).json({ message: "Failed to load scorecard" });
+  }
+});
 
-    if (userResults.length === 0) {
-      return res.status(404).json({ message: "No on-time ranked attempt found" });
-    }
+const MAX_GROUP_MEMBERS = 500;
+const MAX_GROUPS_PER_USER = 20;
+const INVITE_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
 
-    const rankRevealNow = isRankRevealTime();
+function generateInviteCode() {
+  return [...crypto.randomBytes(8)].map(b => INVITE_CODE_ALPHABET[b % INVITE_CODE_ALPHABET.length]).join("");
+}
 
-    if (!rankRevealNow) {
-      return res.json({
-        rankRevealNow: false,
-        rankRevealTime: rankRevealTimeIST(),
-        message: `Ranks will be revealed at ${rankRevealTimeIST()} today. Come back then!`,
-        hasSubmitted: true,
-      });
+async function createGroupWithInviteCode(fields) {
+  for (let i = 0; i < 5; i++) {
+    try {
+      return await StudyGroup.create({ ...fields, inviteCode: generateInviteCode() });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
     }
+  }
+  throw new Error("Could not allocate an invite code");
+}
 
-    const response = { phases: {}, rankRevealNow: true };
+async function findMembership(groupId, userId) {
+  if (!mongoose.isValidObjectId(groupId)) return null;
+  return GroupMember.findOne({ groupId, userId, status: "active" }).lean();
+}
 
-    for (const r of userResults) {
-      const better = await Result.countDocuments({
-        testId: test._id,
-        phase: r.phase,
-        isLate: false,
-        $or: [
-          { score: { $gt: r.score } },
-          { score: r.score, submittedAt: { $lt: r.submittedAt } }
-        ]
-      });
+async function removeGroupMembership(groupId, userId) {
+  const removed = await GroupMember.findOneAndDelete({ groupId, userId });
+  if (!removed || removed.status !== "active") return removed;
 
-      const total = await Result.countDocuments({
-        testId: test._id,
-        phase: r.phase,
-        isLate: false
-      });
+  const remaining = await GroupMember.find({ groupId, status: "active" }).sort({ joinedAt: 1 }).lean();
+  if (!remaining.length) {
+    await StudyGroup.deleteOne({ _id: groupId });
+    await GroupMember.deleteMany({ groupId });
+  } else if (removed.role === "admin" && !remaining.some(m => m.role === "admin")) {
+    await GroupMember.updateOne({ _id: remaining[0]._id }, { $set: { role: "admin" } });
+  }
+  return removed;
+}
 
-      response.phases[r.phase] = {
-        score: Math.round(r.score * 100) / 100,
-        correct: r.correct,
-        incorrect: r.incorrect,
-        unattempted: r.unattempted,
-        rank: better + 1,
-        totalParticipants: total
-      };
-    }
+function formatGroup(group, membership, memberCount) {
+  return {
+    groupId: group._id.toString(),
+    name: group.name,
+    description: group.description || null,
+    inviteCode: group.inviteCode,
+    role: membership.role,
+    memberCount,
+    joinedAt: membership.joinedAt,
+    createdAt: group.createdAt
+  };
+}
 
-    if (test.isSundayFullTest && userResults.length === 2) {
-      const combinedScore = userResults.reduce((sum, r) => sum + r.score, 0);
+async function groupMemberIds(groupId) {
+  return GroupMember.distinct("userId", { groupId, status: "active" });
+}
 
-      const betterCombined = await Result.aggregate([
-        { $match: { testId: test._id, isLate: false, phase: { $in: ["GS", "CSAT"] } } },
-        { $group: { _id: "$userId", total: { $sum: "$score" } } },
-        { $match: { total: { $gt: combinedScore } } },
-        { $count: "count" }
-      ]);
+app.post("/user/groups", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const { name, description } = req.body || {};
+    if (typeof name !== "string" || name.trim().length < 3 || name.trim().length > 60) {
+      return res.status(400).json({ message: "name must be 3-60 characters" });
+    }
+    if (description !== undefined && (typeof description !== "string" || description.length > 280)) {
+      return res.status(400).json({ message: "description must be at most 280 characters" });
+    }
 
-      const combinedRank = (betterCombined[0]?.count || 0) + 1;
-      const totalUsers = await Result.distinct("userId", {
-        testId: test._id,
-        isLate: false,
-        phase: { $in: ["GS", "CSAT"] }
-      }).then(ids => new Set(ids).size);
-
-      response.combined = {
-        score: Math.round(combinedScore * 100) / 100,
-        rank: combinedRank,
-        totalParticipants: totalUsers
-      };
+    const joined = await GroupMember.countDocuments({ userId: req.user.uid, status: "active" });
+    if (joined >= MAX_GROUPS_PER_USER) {
+      return res.status(409).json({ message: `You can be in at most ${MAX_GROUPS_PER_USER} groups` });
     }
 
-    res.json(response);
+    const group = await createGroupWithInviteCode({
+      name: name.trim(),
+      description: description?.trim() || undefined,
+      createdBy: req.user.uid
+    });
+    const membership = await GroupMember.create({ groupId: group._id, userId: req.user.uid, role: "admin" });
+
+    res.status(201).json(formatGroup(group, membership, 1));
   } catch (err) {
-    console.error("/user/my-rank error:", err.message);
-    res.status(500).json({ message: "Server error" });
+    console.error("/user/groups create error:", err.message);
+    res.status(500).json({ message: "Failed to create group" });
   }
 });
 
-app.get("/user/leaderboard/:testId", userAuth, async (req, res) => {
+app.get("/user/groups", userAuth, async (req, res) => {
   try {
     await connectDB();
-    const test = await Test.findById(req.params.testId);
-    if (!test) return res.status(404).json({ message: "Test not found" });
+    const memberships = await GroupMember.find({ userId: req.user.uid, status: "active" }).sort({ joinedAt: -1 }).lean();
+    const groupIds = memberships.map(m => m.groupId);
+    const [groups, counts] = await Promise.all([
+      StudyGroup.find({ _id: { $in: groupIds } }).lean(),
+      GroupMember.aggregate([
+        { $match: { groupId: { $in: groupIds }, status: "active" } },
+        { $group: { _id: "$groupId", count: { $sum: 1 } } }
+      ])
+    ]);
+    const groupsById = new Map(groups.map(g => [g._id.toString(), g]));
+    const countsById = new Map(counts.map(c => [c._id.toString(), c.count]));
 
-    if (!test.isSundayFullTest) {
-      const results = await Result.find({
-        testId: test._id,
-        phase: "GS",
-        isLate: false
-      })
-        .sort({ score: -1, submittedAt: 1 })
-        .limit(50)
-        .lean();
+    res.json(memberships
+      .filter(m => groupsById.has(m.groupId.toString()))
+      .map(m => formatGroup(groupsById.get(m.groupId.toString()), m, countsById.get(m.groupId.toString()) || 0)));
+  } catch (err) {
+    console.error("/user/groups error:", err.message);
+    res.status(500).json({ message: "Failed to fetch groups" });
+  }
+});
 
-      const total = await Result.countDocuments({
-        testId: test._id,
-        phase: "GS",
-        isLate: false
-      });
+app.post("/user/groups/join", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const inviteCode = typeof req.body?.inviteCode === "string" ? req.body.inviteCode.trim().toUpperCase() : "";
+    if (!inviteCode) return res.status(400).json({ message: "inviteCode is required" });
 
-      return res.json({
-        phase: "GS",
-        leaderboard: results.map(r => ({
-          userId: r.userId,
-          score: Math.round(r.score * 100) / 100,
-          submittedAt: r.submittedAt
-        })),
-        totalRankedParticipants: total,
-        note: "Only on-time GS attempts"
-      });
+    const group = await StudyGroup.findOne({ inviteCode }).lean();
+    if (!group) return res.status(404).json({ message: "No group found for this invite code" });
+
+    const existing = await GroupMember.findOne({ groupId: group._id, userId: req.user.uid }).lean();
+    if (existing?.status === "removed") {
+      return res.status(403).json({ message: "You were removed from this group by an admin" });
+    }
+    if (existing) {
+      const memberCount = await GroupMember.countDocuments({ groupId: group._id, status: "active" });
+      return res.json({ ...formatGroup(group, existing, memberCount), alreadyMember: true });
     }
 
-    const gsResults = await Result.find({ testId: test._id, phase: "GS", isLate: false })
-      .sort({ score: -1, submittedAt: 1 })
-      .limit(20)
-      .lean();
+    const [memberCount, joined] = await Promise.all([
+      GroupMember.countDocuments({ groupId: group._id, status: "active" }),
+      GroupMember.countDocuments({ userId: req.user.uid, status: "active" })
+    ]);
+    if (memberCount >= MAX_GROUP_MEMBERS) {
+      return res.status(409).json({ message: "This group is full" });
+    }
+    if (joined >= MAX_GROUPS_PER_USER) {
+      return res.status(409).json({ message: `You can be in at most ${MAX_GROUPS_PER_USER} groups` });
+    }
 
-    const csatResults = await Result.find({ testId: test._id, phase: "CSAT", isLate: false })
-      .sort({ score: -1, submittedAt: 1 })
-      .limit(20)
-      .lean();
+    let membership;
+    try {
+      membership = await GroupMember.create({ groupId: group._id, userId: req.user.uid });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      membership = await GroupMember.findOne({ groupId: group._id, userId: req.user.uid }).lean();
+    }
 
-    const combined = await Result.aggregate([
-      { $match: { testId: test._id, isLate: false, phase: { $in: ["GS", "CSAT"] } } },
-      { $group: {
-          _id: "$userId",
-          totalScore: { $sum: "$score" },
-          gsScore: { $sum: { $cond: [{ $eq: ["$phase", "GS"] }, "$score", 0] } },
-          csatScore: { $sum: { $cond: [{ $eq: ["$phase", "CSAT"] }, "$score", 0] } }
-        }},
-      { $sort: { totalScore: -1 } },
-      { $limit: 20 }
-    ]);
+    res.json(formatGroup(group, membership, memberCount + 1));
+  } catch (err) {
+    console.error("/user/groups/join error:", err.message);
+    res.status(500).json({ message: "Failed to join group" });
+  }
+});
+
+app.get("/user/groups/:groupId", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const membership = await findMembership(req.params.groupId, req.user.uid);
+    if (!membership) return res.status(404).json({ message: "Group not found" });
+
+    const group = await StudyGroup.findById(membership.groupId).lean();
+    if (!group) return res.status(404).json({ message: "Group not found" });
+    const members = await GroupMember.find({ groupId: group._id, status: "active" }).sort({ joinedAt: 1 }).lean();
 
     res.json({
-      isSundayFullTest: true,
-      gs: {
-        leaderboard: gsResults.map(r => ({ userId: r.userId, score: Math.round(r.score*100)/100 })),
-        total: await Result.countDocuments({ testId: test._id, phase: "GS", isLate: false })
-      },
-      csat: {
-        leaderboard: csatResults.map(r => ({ userId: r.userId, score: Math.round(r.score*100)/100 })),
-        total: await Result.countDocuments({ testId: test._id, phase: "CSAT", isLate: false })
-      },
-      combined: {
-        leaderboard: combined.map((entry, idx) => ({
-          rank: idx + 1,
-          userId: entry._id,
-          totalScore: Math.round(entry.totalScore * 100) / 100,
-          gs: Math.round(entry.gsScore * 100) / 100,
-          csat: Math.round(entry.csatScore * 100) / 100
-        })),
-        totalUniqueParticipants: await Result.distinct("userId", {
-          testId: test._id,
-          isLate: false,
-          phase: { $in: ["GS", "CSAT"] }
-        }).then(arr => arr.length)
-      }
+      ...formatGroup(group, membership, members.length),
+      members: await withPublicProfiles(members.map(m => ({
+        memberId: m._id.toString(),
+        userId: m.userId,
+        role: m.role,
+        joinedAt: m.joinedAt
+      })), req.user.uid)
     });
   } catch (err) {
-    console.error("/user/leaderboard error:", err.message);
-    res.status(500).json({ message: "Server error" });
+    console.error("/user/groups/:groupId error:", err.message);
+    res.status(500).json({ message: "Failed to fetch group" });
   }
 });
 
-app.get("/user/review-test/:testId", userAuth, async (req, res) => {
+app.post("/user/groups/:groupId/leave", userAuth, async (req, res) => {
   try {
     await connectDB();
-    const test = await Test.findById(req.params.testId);
-    if (!test || test.testType !== "paid") {
-      return res.status(404).json({ message: "Test not found or not paid" });
-    }
+    const membership = await findMembership(req.params.groupId, req.user.uid);
+    if (!membership) return res.status(404).json({ message: "Group not found" });
 
-    const phase = req.query.phase || "GS";
+    await removeGroupMembership(membership.groupId, req.user.uid);
+    res.json({ left: true, message: "You have left the group" });
+  } catch (err) {
+    console.error("/user/groups/leave error:", err.message);
+    res.status(500).json({ message: "Failed to leave group" });
+  }
+});
 
-    let filter = { userId: req.user.uid, testId: test._id };
-    if (test.isSundayFullTest) {
-      filter.phase = phase;
+app.delete("/user/groups/:groupId/members/:memberId", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const membership = await findMembership(req.params.groupId, req.user.uid);
+    if (!membership) return res.status(404).json({ message: "Group not found" });
+    if (membership.role !== "admin") {
+      return res.status(403).json({ message: "Only group admins can remove members" });
     }
-
-    const result = await Result.findOne(filter);
-    if (!result) {
-      return res.status(404).json({ message: `No submission found for phase ${phase}` });
+    if (!mongoose.isValidObjectId(req.params.memberId)) {
+      return res.status(404).json({ message: "Member not found" });
     }
 
-    let qFilter = { testId: test._id };
-    if (test.isSundayFullTest) {
-      qFilter.phase = phase;
+    const target = await GroupMember.findOne({ _id: req.params.memberId, groupId: membership.groupId, status: "active" }).lean();
+    if (!target) return res.status(404).json({ message: "Member not found" });
+    if (target.userId === req.user.uid) {
+      return res.status(400).json({ message: "Use leave to exit the group yourself" });
     }
 
-    const questions = await Question.find(qFilter)
-      .sort({ questionNumber: 1 })
-      .lean();
+    await GroupMember.updateOne(
+      { _id: target._id },
+      { $set: { status: "removed", removedBy: req.user.uid, removedAt: new Date() } }
+    );
+    res.json({ removed: true });
+  } catch (err) {
+    console.error("/user/groups/members remove error:", err.message);
+    res.status(500).json({ message: "Failed to remove member" });
+  }
+});
 
-    const reviewQuestions = questions.map(q => {
-      const userAns = result.answers.find(a => a.questionId === q._id.toString());
-      return {
-        questionNumber: q.questionNumber,
-        questionStatement: q.questionStatement,
-        options: q.options,
-        yourAnswer: userAns?.selectedOption || null,
-        correctAnswer: q.correctOption,
-        isCorrect: userAns ? userAns.selectedOption === q.correctOption : false
-      };
-    });
+app.get("/user/groups/:groupId/leaderboard", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const membership = await findMembership(req.params.groupId, req.user.uid);
+    if (!membership) return res.status(404).json({ message: "Group not found" });
+    const memberIds = await groupMemberIds(membership.groupId);
+
+    if (!req.query.testId) {
+      const standings = await Result.aggregate([
+        { $match: { ...RANKED_RESULT, userId: { $in: memberIds } } },
+        {
+          $group: {
+            _id: "$userId",
+            totalMarks: { $sum: "$score" },
+            totalCorrect: { $sum: "$correct" },
+            testsGiven: { $sum: 1 },
+            lastSubmittedAt: { $max: "$submittedAt" }
+          }
+        },
+        { $sort: { totalMarks: -1, lastSubmittedAt: 1 } }
+      ]);
+      const ranks = competitionRanks(standings, e => e.totalMarks);
 
-    const rankRevealNow = isRankRevealTime();
-    let rankInfo = null;
-    if (!result.isLate && rankRevealNow) {
-      const better = await Result.countDocuments({
-        testId: test._id,
-        phase: result.phase,
-        isLate: false,
-        $or: [
-          { score: { $gt: result.score } },
-          { score: result.score, submittedAt: { $lt: result.submittedAt } }
-        ]
+      return res.json({
+        type: "cumulative",
+        leaderboard: await withPublicProfiles(standings.map((e, idx) => ({
+          rank: ranks[idx],
+          userId: e._id,
+          totalMarks: Math.round(e.totalMarks * 100) / 100,
+          totalCorrect: e.totalCorrect,
+          testsGiven: e.testsGiven
+        })), req.user.uid),
+        totalParticipants: standings.length,
+        memberCount: memberIds.length
       });
-      const total = await Result.countDocuments({
-        testId: test._id,
-        phase: result.phase,
-        isLate: false
+    }
+
+    if (!mongoose.isValidObjectId(req.query.testId)) return res.status(404).json({ message: "Test not found" });
+    const test = await Test.findById(req.query.testId).lean();
+    if (!test || test.testType !== "paid") return res.status(404).json({ message: "Test not found" });
+
+    const scopes = test.isSundayFullTest ? ["GS", "CSAT", "combined"] : ["GS"];
+    const scope = req.query.scope || (test.isSundayFullTest ? "combined" : "GS");
+    if (!scopes.includes(scope)) {
+      return res.status(400).json({ message: `scope must be one of ${scopes.join(", ")}` });
+    }
+
+    if (!isRankRevealed(test)) {
+      const reveal = rankRevealFields(test);
+      return res.json({
+        type: "test",
+        scope,
+        ...reveal,
+        rankPending: true,
+        message: `Group leaderboard will be available at ${reveal.rankRevealLabel}.`
       });
-      rankInfo = {
-        phase: result.phase,
-        score: Math.round(result.score * 100) / 100,
-        rank: better + 1,
-        totalParticipants: total
-      };
     }
 
+    const meta = await ensureRankSnapshot(test);
+    if (!meta) {
+      return res.json({ type: "test", scope, rankPending: true, message: "Leaderboard is being updated, check back in a moment." });
+    }
+
+    const entries = await RankEntry.find({
+      testId: test._id,
+      version: meta.version,
+      scope,
+      rank: { $ne: null },
+      userId: { $in: memberIds }
+    }).sort({ position: 1 }).lean();
+    const ranks = competitionRanks(entries, e => e.score);
+
     res.json({
+      type: "test",
+      testId: test._id.toString(),
       title: test.title,
-      phase: result.phase,
-      score: Math.round(result.score * 100) / 100,
-      correct: result.correct,
-      incorrect: result.incorrect,
-      unattempted: result.unattempted,
-      submittedAt: result.submittedAt,
-      isLate: result.isLate,
-      rankRevealNow,
-      rankRevealTime: rankRevealTimeIST(),
-      rankInfo,
-      questions: reviewQuestions,
-      message: result.isLate
-        ? "Late attempt – shown for review/practice only (no rank)"
-        : rankRevealNow
-          ? "Review your answers and performance"
-          : `Rank will be available at ${rankRevealTimeIST()}. Come back then!`
+      scope,
+      rankStatus: answerKeyFields(test).rankStatus,
+      leaderboard: await withPublicProfiles(entries.map((e, idx) => ({
+        ...formatBoardEntry(scope, e),
+        rank: ranks[idx],
+        overallRank: e.rank
+      })), req.user.uid),
+      totalParticipants: entries.length,
+      memberCount: memberIds.length
     });
   } catch (err) {
-    console.error("/user/review-test error:", err.message);
-    res.status(500).json({ message: "Server error" });
+    console.error("/user/groups/leaderboard error:", err.message);
+    res.status(500).json({ message: "Failed to fetch group leaderboard" });
   }
 });
 
@@ -1088,7 +6214,7 @@ app.get("/free/tests", async (req, res) => {
   }
 });
 
-app.get("/free/test/:testId", async (req, res) => {
+app.get("/free/test/:testId", optionalUserAuth, async (req, res) => {
   try {
     await connectDB();
 
@@ -1097,9 +6223,10 @@ app.get("/free/test/:testId", async (req, res) => {
       return res.status(404).json({ message: "Free test not found" });
     }
 
-    const questions = await Question.find({ testId: test._id })
+    const lang = resolveLanguage(req);
+    const questions = (await Question.find({ testId: test._id })
       .select("-correctOption")
-      .lean();
+      .lean()).map(q => localizeQuestion(q, lang));
 
     res.json({
       status: "active",
@@ -1108,6 +6235,8 @@ app.get("/free/test/:testId", async (req, res) => {
       totalQuestions: test.totalQuestions,
       date: test.date,
       questions,
+      attemptToken: issueFreeAttemptToken(req, test._id),
+      signedIn: !!req.user,
       note: "Persistent free practice test — available anytime until removed by admin",
       isPersistentFreeTest: true
     });
@@ -1117,7 +6246,7 @@ app.get("/free/test/:testId", async (req, res) => {
   }
 });
 
-app.get("/free/today-test", async (req, res) => {
+app.get("/free/today-test", optionalUserAuth, async (req, res) => {
   try {
     await connectDB();
 
@@ -1129,9 +6258,10 @@ app.get("/free/today-test", async (req, res) => {
       return res.status(404).json({ message: "No free test available at the moment" });
     }
 
-    const questions = await Question.find({ testId: test._id })
+    const lang = resolveLanguage(req);
+    const questions = (await Question.find({ testId: test._id })
       .select("-correctOption")
-      .lean();
+      .lean()).map(q => localizeQuestion(q, lang));
 
     res.json({
       status: "active",
@@ -1140,6 +6270,8 @@ app.get("/free/today-test", async (req, res) => {
       totalQuestions: test.totalQuestions,
       date: test.date,
       questions,
+      attemptToken: issueFreeAttemptToken(req, test._id),
+      signedIn: !!req.user,
       note: "Persistent free practice test — available anytime until removed by admin",
       isPersistentFreeTest: true
     });
@@ -1149,40 +6281,92 @@ app.get("/free/today-test", async (req, res) => {
   }
 });
 
-app.post("/free/submit-test/:testId", async (req, res) => {
+app.post("/free/submit-test/:testId", optionalUserAuth, async (req, res) => {
   try {
     await connectDB();
-    const { answers, timeTakenSeconds } = req.body;
+    const { answers, attemptToken } = req.body;
     if (!Array.isArray(answers)) return res.status(400).json({ message: "answers must be array" });
 
-    const questions = await Question.find({ testId: req.params.testId });
+    const test = await Test.findOne({ _id: req.params.testId, testType: "free" }).lean();
+    if (!test) return res.status(404).json({ message: "Test not found" });
+
+    const questions = await Question.find({ testId: test._id });
     if (!questions.length) return res.status(404).json({ message: "Test not found" });
 
-    let score = 0;
-    questions.forEach(q => {
-      const ua = answers.find(a => a.questionId === q._id.toString());
-      if (ua && ua.selectedOption === q.correctOption) score++;
-    });
+    const identity = {};
+    if (req.user) {
+      identity.userId = req.user.uid;
+    } else {
+      const token = verifyToken(attemptToken, "free_attempt");
+      if (!token || token.testId !== test._id.toString()) {
+        return res.status(401).json({
+          message: "Missing or expired attempt token. Reload the test to get a new one, or sign in.",
+          attemptTokenRequired: true
+        });
+      }
+      identity.attemptTokenId = token.jti;
+    }
 
-    const result = await FreeResult.create({
-      testId: req.params.testId,
+    const alreadyRanked = await FreeResult.exists({ testId: test._id, ranked: true, ...identity });
+
+    const markingScheme = resolveMarkingScheme(test);
+    const { score, correct, incorrect, totalQuestions, savedAnswers } = gradeAnswers(questions, answers, markingScheme);
+
+    const fields = {
+      testId: test._id,
+      ...identity,
       score,
-      totalQuestions: questions.length
-    });
+      correct,
+      incorrect,
+      unattempted: totalQuestions - correct - incorrect,
+      totalQuestions,
+      answers: savedAnswers,
+      markingScheme
+    };
+
+    let result;
+    try {
+      result = await FreeResult.create({ ...fields, ranked: !alreadyRanked });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      result = await FreeResult.create({ ...fields, ranked: false });
+    }
+    if (req.user) {
+      await recordEngagement(req.user.uid, { questions: correct + incorrect, at: result.submittedAt });
+    }
+
+    const rankedFilter = { testId: test._id, ranked: { $ne: false } };
+    const total = await FreeResult.countDocuments(rankedFilter);
+    const review = {
+      attemptId: result._id.toString(),
+      reviewToken: req.user ? null : issueFreeReviewToken(result),
+    };
+
+    if (!result.ranked) {
+      return res.json({
+        ...review,
+        score: Math.round(score * 100) / 100,
+        total,
+        ranked: false,
+        yourRank: null,
+        rankDisplay: null,
+        message: "Re-attempt saved for practice – only your first attempt is ranked"
+      });
+    }
 
     const betterCount = await FreeResult.countDocuments({
-      testId: req.params.testId,
+      ...rankedFilter,
       $or: [
         { score: { $gt: score } },
         { score, submittedAt: { $lt: result.submittedAt } }
       ]
     });
 
-    const total = await FreeResult.countDocuments({ testId: req.params.testId });
-
     res.json({
-      score,
+      ...review,
+      score: Math.round(score * 100) / 100,
       total,
+      ranked: true,
       yourRank: betterCount + 1,
       rankDisplay: `${betterCount + 1} / ${total}`,
       message: "Submitted – your rank is visible on the public leaderboard"
@@ -1193,25 +6377,27 @@ app.post("/free/submit-test/:testId", async (req, res) => {
   }
 });
 
-app.get("/free/leaderboard/:testId", async (req, res) => {
+app.get("/free/leaderboard/:testId", optionalUserAuth, async (req, res) => {
   try {
     await connectDB();
-    const results = await FreeResult.find({ testId: req.params.testId })
+    const rankedFilter = { testId: req.params.testId, ranked: { $ne: false } };
+    const results = await FreeResult.find(rankedFilter)
       .sort({ score: -1, submittedAt: 1 })
       .limit(100)
       .lean();
 
-    const total = await FreeResult.countDocuments({ testId: req.params.testId });
+    const total = await FreeResult.countDocuments(rankedFilter);
 
     const leaderboard = results.map((r, idx) => ({
       rank: idx + 1,
-      score: r.score,
+      userId: r.userId,
+      score: Math.round(r.score * 100) / 100,
       totalQuestions: r.totalQuestions,
       submittedAt: r.submittedAt
     }));
 
     res.json({
-      leaderboard,
+      leaderboard: await withPublicProfiles(leaderboard, req.user?.uid),
       totalParticipants: total
     });
   } catch (err) {
@@ -1219,4 +6405,96 @@ app.get("/free/leaderboard/:testId", async (req, res) => {
     res.status(500).json({ message: "Server error" });
   }
 });
+
+app.get("/free/review/:attemptId", optionalUserAuth, async (req, res) => {
+  try {
+    await connectDB();
+    if (!mongoose.isValidObjectId(req.params.attemptId)) {
+      return res.status(404).json({ message: "Attempt not found" });
+    }
+
+    const result = await FreeResult.findById(req.params.attemptId).lean();
+    if (!result) return res.status(404).json({ message: "Attempt not found" });
+
+    const token = verifyToken(req.query.token || req.headers["x-review-token"], "free_review");
+    const ownsAttempt = !!req.user && result.userId === req.user.uid;
+    const hasToken = !!token && token.attemptId === result._id.toString();
+    if (!ownsAttempt && !hasToken) {
+      return res.status(403).json({ message: "Sign in or use the review link from your submission to see this attempt" });
+    }
+    if (!result.answers || result.answers.length === 0) {
+      return res.status(404).json({ message: "Answers were not stored for this attempt" });
+    }
+
+    const test = await Test.findById(result.testId).lean();
+    const lang = resolveLanguage(req);
+    const questions = (await Question.find({ testId: result.testId })
+      .sort({ questionNumber: 1 })
+      .lean()).map(q => localizeQuestion(q, lang, { includeExplanation: true }));
+
+    const answerMap = new Map(result.answers.map(a => [a.questionId, a]));
+    const reviewQuestions = questions.map(q => {
+      const userAns = answerMap.get(q._id.toString());
+      return {
+        questionNumber: q.questionNumber,
+        questionStatement: q.questionStatement,
+        options: q.options,
+        language: q.language,
+        availableLanguages: q.availableLanguages,
+        explanation: q.explanation,
+        yourAnswer: userAns?.selectedOption || null,
+        correctAnswer: q.correctOption,
+        isCorrect: answerCredited(q, userAns?.selectedOption),
+        marks: userAns?.marks ?? null
+      };
+    });
+
+    res.json({
+      attemptId: result._id.toString(),
+      title: test?.title || "BPSC Free Practice Test",
+      score: Math.round(result.score * 100) / 100,
+      correct: result.correct,
+      incorrect: result.incorrect,
+      unattempted: result.unattempted ?? (result.totalQuestions - result.correct - result.incorrect),
+      totalQuestions: result.totalQuestions,
+      markingScheme: result.markingScheme || DEFAULT_MARKING_SCHEMES.free,
+      ranked: result.ranked !== false,
+      submittedAt: result.submittedAt,
+      questions: reviewQuestions,
+      message: "Review your answers and performance"
+    });
+  } catch (err) {
+    console.error("/free/review error:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.get("/free/my-attempts", userAuth, async (req, res) => {
+  try {
+    await connectDB();
+    const limit = parseInt(req.query.limit) || 30;
+
+    const attempts = await FreeResult.find({ userId: req.user.uid })
+      .sort({ submittedAt: -1 })
+      .limit(limit)
+      .lean();
+    const tests = await Test.find({ _id: { $in: attempts.map(a => a.testId) } }).select("title").lean();
+    const titles = new Map(tests.map(t => [t._id.toString(), t.title]));
+
+    res.json(attempts.map(a => ({
+      _id: a._id.toString(),
+      testId: a.testId.toString(),
+      testTitle: titles.get(a.testId.toString()) || "BPSC Free Practice Test",
+      score: Math.round(a.score * 100) / 100,
+      correct: a.correct,
+      incorrect: a.incorrect,
+      totalQuestions: a.totalQuestions,
+      ranked: a.ranked !== false,
+      submittedAt: a.submittedAt,
+    })));
+  } catch (err) {
+    console.error("/free/my-attempts error:", err.message);
+    res.status(500).json({ message: "Failed to fetch free attempts" });
+  }
+});
 module.exports = app;